@@ -0,0 +1,202 @@
+/**
+ * Cohort query builder
+ * Lets each timeline graph define its own cohort of photographs from a list
+ * of conditions (artist, year range, work type, object presence, works in
+ * museum), on top of its nationality and gender selectors
+ */
+
+// ===== COHORT STATE =====
+// graph number -> list of { field, value } conditions; all must hold
+const cohortConditions = { 1: [], 2: [] };
+
+// ===== CONDITION FIELDS =====
+// options() lists the choices offered for a field as { value, text };
+// fields without options take a "start-end" year range. test(value) returns
+// a predicate on photo records. Fields marked multiple can be added more than
+// once (e.g. contains person and contains tree); others replace their value
+const COHORT_FIELDS = {
+    'artist': {
+        label: 'Artist',
+        options: () => d3.rollups(photographData.filter(p => p.artist), v => v.length, p => p.artist)
+            .sort((a, b) => d3.ascending(a[0], b[0]))
+            .map(([artist, count]) => ({ value: artist, text: `${artist} (${count})` })),
+        describe: value => value,
+        test: value => p => p.artist === value
+    },
+    'years': {
+        label: 'Years',
+        options: null,
+        describe: value => value.replace('-', '–'),
+        test: value => {
+            const [start, end] = parseYearRange(value);
+            return p => p.year !== null && p.year >= start && p.year <= end;
+        }
+    },
+    'work-type': {
+        label: 'Work type',
+        options: () => Array.from(new Set(photographData.map(p => p.workType).filter(Boolean)))
+            .sort()
+            .map(workType => ({ value: workType, text: workType })),
+        describe: value => value,
+        test: value => p => p.workType === value
+    },
+    'object': {
+        label: 'Contains',
+        multiple: true,
+        options: () => getObjectKeys().map(key => ({ value: key, text: getObjectLabel(key) })),
+        describe: value => `Contains ${getObjectLabel(value).toLowerCase()}`,
+        test: value => p => !!p.has[value]
+    },
+    'works': {
+        label: 'Works in museum',
+        // Same buckets as the artist filter buttons
+        options: () => ['one-off', 'occasional', 'prolific']
+            .map(bucket => ({ value: bucket, text: TIMELINE_FILTERS[`artist-${bucket}`].label })),
+        describe: value => TIMELINE_FILTERS[`artist-${value}`].label,
+        test: value => TIMELINE_FILTERS[`artist-${value}`].test
+    }
+};
+
+// "1850-1870" -> [1850, 1870]; either bound may be left empty
+function parseYearRange(value) {
+    const [start, end] = value.split('-').map(s => s.trim());
+    return [
+        start === '' || isNaN(+start) ? -Infinity : +start,
+        end === '' || end === undefined || isNaN(+end) ? Infinity : +end
+    ];
+}
+
+function isValidCondition({ field, value }) {
+    const definition = COHORT_FIELDS[field];
+    if (!definition || !value) return false;
+    if (field === 'years') return /^\d*-\d*$/.test(value) && value !== '-';
+    if (field === 'works') return !!TIMELINE_FILTERS[`artist-${value}`];
+    return true;
+}
+
+// ===== QUERIES =====
+function getCohortConditions(graphNumber) {
+    return cohortConditions[graphNumber];
+}
+
+// Predicate matching every condition of a graph's cohort, or null when it has none
+function getCohortTest(graphNumber) {
+    const tests = cohortConditions[graphNumber].map(c => COHORT_FIELDS[c.field].test(c.value));
+    if (tests.length === 0) return null;
+    return p => tests.every(test => test(p));
+}
+
+function describeCondition({ field, value }) {
+    const definition = COHORT_FIELDS[field];
+    const text = definition.describe(value);
+    return field === 'object' || field === 'works' ? text : `${definition.label}: ${text}`;
+}
+
+function addCohortCondition(graphNumber, field, value) {
+    const condition = { field: field, value: value };
+    if (!isValidCondition(condition)) return;
+
+    const conditions = cohortConditions[graphNumber];
+    if (conditions.some(c => c.field === field && c.value === value)) return;
+
+    cohortConditions[graphNumber] = COHORT_FIELDS[field].multiple
+        ? conditions.concat(condition)
+        : conditions.filter(c => c.field !== field).concat(condition);
+    updateMainVisualization();
+}
+
+function removeCohortCondition(graphNumber, condition) {
+    cohortConditions[graphNumber] = cohortConditions[graphNumber].filter(c => c !== condition);
+    updateMainVisualization();
+}
+
+// ===== SERIALIZATION =====
+// Conditions are written as "field:value" pairs joined by ";" (used by url-state.js)
+function serializeCohort(graphNumber) {
+    return cohortConditions[graphNumber].map(c => `${c.field}:${c.value}`).join(';');
+}
+
+function restoreCohort(graphNumber, text) {
+    cohortConditions[graphNumber] = text.split(';')
+        .map(part => {
+            const split = part.indexOf(':');
+            return { field: part.slice(0, split), value: part.slice(split + 1) };
+        })
+        .filter(isValidCondition);
+}
+
+// ===== BUILDER UI =====
+// A field select, a value input for that field and an "Add" button
+function initCohortBuilder(graphNumber) {
+    const container = d3.select(`#cohort-builder-${graphNumber}`);
+    if (container.empty()) return;
+
+    container.selectAll('*').remove();
+    container.append('label').text(`Cohort ${graphNumber}:`);
+
+    const fieldSelect = container.append('select')
+        .attr('class', 'dropdown-control')
+        .attr('aria-label', `Cohort ${graphNumber} condition`);
+    fieldSelect.append('option').attr('value', '').text('Add condition…');
+    Object.entries(COHORT_FIELDS).forEach(([field, { label }]) => {
+        fieldSelect.append('option').attr('value', field).text(label);
+    });
+
+    const valueContainer = container.append('span').attr('class', 'cohort-value');
+    const addButton = container.append('button')
+        .attr('class', 'cohort-add-btn')
+        .attr('disabled', true)
+        .text('Add');
+
+    let readValue = () => '';
+
+    fieldSelect.on('change', function() {
+        const field = this.value;
+        valueContainer.selectAll('*').remove();
+        addButton.attr('disabled', field ? null : true);
+        if (!field) return;
+
+        const definition = COHORT_FIELDS[field];
+        if (definition.options) {
+            const valueSelect = valueContainer.append('select')
+                .attr('class', 'dropdown-control')
+                .attr('aria-label', definition.label);
+            definition.options().forEach(({ value, text }) => {
+                valueSelect.append('option').attr('value', value).text(text);
+            });
+            readValue = () => valueSelect.property('value');
+        } else {
+            // Year range: default to the data's full span
+            const years = getPhotoYears();
+            const from = valueContainer.append('input')
+                .attr('type', 'number')
+                .attr('class', 'dropdown-control cohort-year')
+                .attr('aria-label', 'From year')
+                .attr('placeholder', years[0]);
+            valueContainer.append('span').text('–');
+            const to = valueContainer.append('input')
+                .attr('type', 'number')
+                .attr('class', 'dropdown-control cohort-year')
+                .attr('aria-label', 'To year')
+                .attr('placeholder', years[years.length - 1]);
+            readValue = () => `${from.property('value')}-${to.property('value')}`;
+        }
+    });
+
+    addButton.on('click', function() {
+        const field = fieldSelect.property('value');
+        if (!field) return;
+        addCohortCondition(graphNumber, field, readValue());
+        fieldSelect.property('value', '').dispatch('change');
+    });
+}
+
+// ===== EXPORT FOR DEBUGGING =====
+window.cohortBuilder = {
+    COHORT_FIELDS,
+    getCohortConditions,
+    getCohortTest,
+    addCohortCondition,
+    serializeCohort,
+    restoreCohort
+};
@@ -0,0 +1,806 @@
+/**
+ * Data loading and normalization
+ * Parses final_dataset.csv once into typed photograph records and builds
+ * the indexes every visualization queries (by year, decade, object, nationality)
+ */
+
+// ===== GLOBAL DATA STATE =====
+let photoRecords = []; // Typed photograph records, in dataset order
+let photoIndex = null; // Lookup maps built by buildPhotoIndex()
+let datasetObjects = []; // Object keys found as has_* columns in the CSV
+let coverageThreshold = 0; // Minimum % of the frame an object must cover to count as present
+
+// ===== LOADING =====
+// genderUrl is an optional side-car CSV (artist_name,gender) used for rows
+// without their own gender column value; a missing file is not an error
+function loadPhotographData(url = 'final_dataset.csv', { genderUrl = null } = {}) {
+    const genderRows = genderUrl
+        ? d3.csv(genderUrl).catch(error => {
+            // d3 rejects a missing file with "404 Not Found"; warn about anything else
+            if (!/^404\b/.test(error.message)) console.warn('Could not load artist gender data:', error);
+            return [];
+        })
+        : Promise.resolve([]);
+
+    return Promise.all([d3.csv(url), genderRows]).then(([rows, genders]) => {
+        datasetObjects = (rows.columns || Object.keys(rows[0] || {}))
+            .filter(col => col.startsWith('has_'))
+            .map(col => col.slice(4));
+
+        photoRecords = rows.map(row => normalizePhotoRow(row, datasetObjects));
+        joinArtistGenders(photoRecords, genders);
+        photoIndex = buildPhotoIndex(photoRecords);
+        return photoRecords;
+    });
+}
+
+// Fill in missing genders from side-car rows, matching on artist_name. A
+// collaborative "A|B" name falls back to its individual artists when they agree
+function joinArtistGenders(records, genderRows) {
+    if (genderRows.length === 0) return;
+
+    const genderByArtist = new Map();
+    genderRows.forEach(row => {
+        const gender = normalizeGender(row.gender);
+        if (row.artist_name && gender) genderByArtist.set(row.artist_name.trim(), gender);
+    });
+
+    records.forEach(record => {
+        if (record.gender || !record.artist) return;
+        if (genderByArtist.has(record.artist)) {
+            record.gender = genderByArtist.get(record.artist);
+            return;
+        }
+        const genders = record.artist.split('|').map(name => genderByArtist.get(name.trim()));
+        if (genders.every(g => g && g === genders[0])) record.gender = genders[0];
+    });
+}
+
+function normalizeGender(value) {
+    const gender = (value || '').trim().toLowerCase();
+    return gender === '' ? null : gender;
+}
+
+// Convert one raw CSV row (all strings) into a typed record
+function normalizePhotoRow(row, objectKeys) {
+    const year = parseInt(row.creation_year, 10);
+    const worksInMuseum = parseInt(row.works_in_museum, 10);
+
+    const detected = {};
+    const coverage = {};
+    objectKeys.forEach(obj => {
+        detected[obj] = row[`has_${obj}`] === '1.0';
+        const pct = parseFloat(row[`${obj}_percent`]);
+        coverage[obj] = detected[obj] && !isNaN(pct) ? pct : 0;
+    });
+
+    return {
+        id: row.object_id,
+        artist: row.artist_name || '',
+        origin: row.origin || '',
+        nationalities: parseNationality(row.origin),
+        gender: normalizeGender(row.gender), // null when unknown
+        year: isNaN(year) ? null : year,
+        decade: isNaN(year) ? null : Math.floor(year / 10) * 10,
+        workType: row.work_type || '',
+        worksInMuseum: isNaN(worksInMuseum) ? null : worksInMuseum,
+        detected: detected, // object -> flagged by the segmentation model
+        has: getPresence(detected, coverage, coverageThreshold), // object -> counts as present
+        coverage: coverage // object -> % of the frame it covers (0 when absent)
+    };
+}
+
+// An object is present when it was detected and covers at least minCoverage % of the frame
+function getPresence(detected, coverage, minCoverage) {
+    const has = {};
+    Object.keys(detected).forEach(obj => {
+        has[obj] = detected[obj] && (minCoverage <= 0 || coverage[obj] >= minCoverage);
+    });
+    return has;
+}
+
+// Redefine presence for every record and rebuild the indexes; records are
+// updated in place so existing references to photoRecords stay valid
+function setCoverageThreshold(minCoverage) {
+    coverageThreshold = Math.max(0, +minCoverage || 0);
+    photoRecords.forEach(record => {
+        record.has = getPresence(record.detected, record.coverage, coverageThreshold);
+    });
+    photoIndex = buildPhotoIndex(photoRecords);
+}
+
+function getCoverageThreshold() {
+    return coverageThreshold;
+}
+
+// Parse nationality string to extract base nationalities
+function parseNationality(nationalityStr) {
+    if (!nationalityStr || nationalityStr === '') return [];
+
+    const allNationalities = [];
+
+    // First split by pipe (|) to handle multiple artists
+    const artistNationalities = nationalityStr.split('|');
+
+    artistNationalities.forEach(artistNat => {
+        // Remove ", born {country}", ", active {country}", and any trailing " ?"
+        let cleaned = artistNat
+            .replace(/,\s*born\s+[^,]+/gi, '')
+            .replace(/,\s*active\s+[^,]+/gi, '')
+            .replace(/\s+\?$/g, '')
+            .trim();
+
+        // Replace "English" with "British"
+        cleaned = cleaned.replace(/\bEnglish\b/gi, 'British');
+
+        // Skip if empty after cleaning
+        if (!cleaned) return;
+
+        // Split by common delimiters: " and ", "-", ", "
+        // First split by " and "
+        const andParts = cleaned.split(/\s+and\s+/i);
+
+        andParts.forEach(part => {
+            // Then split by "-" or ", "
+            const subParts = part.split(/[-,]\s*/);
+            subParts.forEach(nat => {
+                const trimmed = nat.trim();
+                if (trimmed && trimmed !== '' && !allNationalities.includes(trimmed)) {
+                    allNationalities.push(trimmed);
+                }
+            });
+        });
+    });
+
+    return allNationalities;
+}
+
+// ===== INDEXING =====
+function buildPhotoIndex(records) {
+    const index = {
+        byId: new Map(),
+        byYear: new Map(),
+        byDecade: new Map(),
+        byObject: new Map(),
+        byNationality: new Map(),
+        byGender: new Map(),
+        years: [] // Sorted distinct years that have photos
+    };
+
+    const push = (map, key, record) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(record);
+    };
+
+    records.forEach(record => {
+        index.byId.set(record.id, record);
+        if (record.year !== null) {
+            push(index.byYear, record.year, record);
+            push(index.byDecade, record.decade, record);
+        }
+        Object.keys(record.has).forEach(obj => {
+            if (record.has[obj]) push(index.byObject, obj, record);
+        });
+        record.nationalities.forEach(nat => push(index.byNationality, nat, record));
+        if (record.gender) push(index.byGender, record.gender, record);
+    });
+
+    index.years = Array.from(index.byYear.keys()).sort((a, b) => a - b);
+    return index;
+}
+
+// ===== QUERY HELPERS =====
+function getAllPhotos() {
+    return photoRecords;
+}
+
+function getPhotoById(id) {
+    return photoIndex ? photoIndex.byId.get(String(id)) : undefined;
+}
+
+function getPhotosByYear(year) {
+    return (photoIndex && photoIndex.byYear.get(Math.floor(year))) || [];
+}
+
+function getPhotosByDecade(decade) {
+    return (photoIndex && photoIndex.byDecade.get(decade)) || [];
+}
+
+function getPhotosWithObject(obj) {
+    return (photoIndex && photoIndex.byObject.get(obj)) || [];
+}
+
+function getPhotosByNationality(nationality) {
+    if (nationality === 'all') return photoRecords;
+    return (photoIndex && photoIndex.byNationality.get(nationality)) || [];
+}
+
+function getPhotosByGender(gender) {
+    if (gender === 'all') return photoRecords;
+    return (photoIndex && photoIndex.byGender.get(gender)) || [];
+}
+
+// Genders present in the data with their photo counts, largest first
+function getAvailableGenders() {
+    if (!photoIndex) return [];
+    return Array.from(photoIndex.byGender.entries())
+        .map(([name, photos]) => ({ name: name, count: photos.length }))
+        .sort((a, b) => b.count - a.count);
+}
+
+// All photos with startYear <= year <= endYear (either bound may be omitted)
+function getPhotosInYearRange(startYear = -Infinity, endYear = Infinity) {
+    if (!photoIndex) return [];
+    const result = [];
+    photoIndex.years.forEach(y => {
+        if (y >= startYear && y <= endYear) result.push(...photoIndex.byYear.get(y));
+    });
+    return result;
+}
+
+// Group an arbitrary subset of records into sorted [decade, photos] pairs
+function groupPhotosByDecade(photos) {
+    if (photos === photoRecords && photoIndex) {
+        return Array.from(photoIndex.byDecade.entries()).sort((a, b) => a[0] - b[0]);
+    }
+    return d3.groups(photos.filter(p => p.decade !== null), p => p.decade)
+        .sort((a, b) => a[0] - b[0]);
+}
+
+// Sorted distinct years that have at least one photo
+function getPhotoYears() {
+    return photoIndex ? photoIndex.years : [];
+}
+
+// [first, last] year with photos, or [null, null] before loading
+function getYearExtent() {
+    const years = getPhotoYears();
+    return years.length > 0 ? [years[0], years[years.length - 1]] : [null, null];
+}
+
+// ===== TIME BINNING =====
+// How years are grouped by every time-based chart. size is the bin width in
+// years; custom bins are cut at breakpoints (see setTimeBinning)
+const TIME_BINNINGS = {
+    'year': { label: 'Single year', size: 1 },
+    '5-year': { label: '5 years', size: 5 },
+    'decade': { label: 'Decade', size: 10 },
+    'quarter-century': { label: 'Quarter century', size: 25 },
+    'custom': { label: 'Custom breakpoints', size: null }
+};
+const DEFAULT_BREAKPOINTS = '1860=Civil War, 1870, 1901';
+
+let timeBinning = 'decade';
+let breakpointText = DEFAULT_BREAKPOINTS;
+let breakpoints = parseBreakpoints(DEFAULT_BREAKPOINTS);
+
+// "1860=Civil War, 1870, 1901" -> sorted [{ year, name }]; each breakpoint
+// starts a bin, optionally named. Invalid parts are ignored
+function parseBreakpoints(text) {
+    const seen = new Set();
+    return text.split(',')
+        .map(part => {
+            const [year, ...name] = part.split('=');
+            return { year: parseInt(year, 10), name: name.join('=').trim() || null };
+        })
+        .filter(b => {
+            if (isNaN(b.year) || seen.has(b.year)) return false;
+            seen.add(b.year);
+            return true;
+        })
+        .sort((a, b) => a.year - b.year);
+}
+
+// Switch binning; breakpoint text is only used (and kept) for 'custom'
+function setTimeBinning(mode, text = breakpointText) {
+    if (!TIME_BINNINGS[mode]) return;
+    const parsed = parseBreakpoints(text);
+    if (mode === 'custom' && parsed.length === 0) return;
+
+    timeBinning = mode;
+    breakpointText = text;
+    breakpoints = parsed;
+}
+
+function getTimeBinning() {
+    return timeBinning;
+}
+
+function getBreakpointText() {
+    return breakpointText;
+}
+
+// The bin containing a year: { start, end, range, label } where start is
+// inclusive, end exclusive, range reads e.g. "1870–1879" and label is the
+// bin's name when it has one. Open-ended custom bins are bounded by the data
+function getBinForYear(year) {
+    const size = TIME_BINNINGS[timeBinning].size;
+    if (size) {
+        const start = Math.floor(year / size) * size;
+        const range = size === 1 ? String(start) : size === 10 ? `${start}s` : `${start}–${start + size - 1}`;
+        return { start: start, end: start + size, range: range, label: range };
+    }
+
+    const years = getPhotoYears();
+    const firstYear = years.length > 0 ? Math.min(years[0], year) : year;
+    const lastYear = years.length > 0 ? Math.max(years[years.length - 1], year) : year;
+    const index = d3.bisectRight(breakpoints.map(b => b.year), year) - 1;
+
+    if (index < 0) {
+        const end = breakpoints[0].year;
+        return { start: firstYear, end: end, range: `Before ${end}`, label: `Before ${end}` };
+    }
+    const { year: start, name } = breakpoints[index];
+    const next = breakpoints[index + 1];
+    const end = next ? next.year : lastYear + 1;
+    const range = next ? `${start}–${end - 1}` : `${start} onward`;
+    return { start: start, end: end, range: range, label: name || range };
+}
+
+// Every bin that holds at least one photo, in time order
+function getTimeBins() {
+    const bins = new Map();
+    getPhotoYears().forEach(year => {
+        const bin = getBinForYear(year);
+        if (!bins.has(bin.start)) bins.set(bin.start, bin);
+    });
+    return Array.from(bins.values());
+}
+
+// Group an arbitrary subset of records into sorted [bin, photos] pairs
+function groupPhotosByBin(photos) {
+    return d3.groups(photos.filter(p => p.year !== null), p => getBinForYear(p.year).start)
+        .sort((a, b) => a[0] - b[0])
+        .map(([start, binPhotos]) => [getBinForYear(start), binPhotos]);
+}
+
+// Photos in a bin, or in every bin up to and including it when cumulative
+function getPhotosInBin(bin, cumulative = false) {
+    return getPhotosInYearRange(cumulative ? -Infinity : bin.start, bin.end - 1);
+}
+
+// ===== WEIGHTING =====
+// How an object is measured across a set of photos:
+//   count         - number of photos containing it
+//   coverage-sum  - summed share of the frame, in full-frame equivalents
+//   coverage-mean - mean share of the frame (%) in the photos containing it
+const WEIGHT_MODES = {
+    'count': { label: 'Photo count', axisLabel: '# of Works' },
+    'coverage-sum': { label: 'Total area covered', axisLabel: 'Full-frame equivalents' },
+    'coverage-mean': { label: 'Mean area covered', axisLabel: 'Mean % of frame' }
+};
+
+// Coverage (% of frame) of a photo for a list of objects that count as
+// present; members of a group are distinct segmentation classes so their areas add up
+function getPhotoCoverage(photo, objects) {
+    return Math.min(objects.reduce((s, obj) => s + (photo.has[obj] ? photo.coverage[obj] : 0), 0), 100);
+}
+
+// Weight of one object (or any of a list of objects) across a set of photos
+function getObjectWeight(photos, objects, mode = 'count') {
+    const keys = Array.isArray(objects) ? objects : [objects];
+    const matching = photos.filter(p => keys.some(k => p.has[k]));
+    if (mode === 'count') return matching.length;
+
+    const total = d3.sum(matching, p => getPhotoCoverage(p, keys));
+    if (mode === 'coverage-sum') return total / 100;
+    return matching.length > 0 ? total / matching.length : 0;
+}
+
+// Percentage of a set of photos taken up by an object: share of photos that
+// contain it in count mode, share of all their combined frame area otherwise
+function getObjectShare(photos, objects, mode = 'count') {
+    if (photos.length === 0) return 0;
+    const keys = Array.isArray(objects) ? objects : [objects];
+    if (mode === 'count') return getObjectWeight(photos, keys, mode) / photos.length * 100;
+    return d3.sum(photos, p => getPhotoCoverage(p, keys)) / photos.length;
+}
+
+// Weight of a pair of objects across the photos containing both; a photo
+// only counts as much as the smaller of the two areas
+function getPairWeight(photos, object1, object2, mode = 'count') {
+    const joint = photos.filter(p => p.has[object1] && p.has[object2]);
+    if (mode === 'count') return joint.length;
+
+    const total = d3.sum(joint, p => Math.min(p.coverage[object1], p.coverage[object2]));
+    if (mode === 'coverage-sum') return total / 100;
+    return joint.length > 0 ? total / joint.length : 0;
+}
+
+function formatWeight(value, mode = 'count') {
+    if (mode === 'count') return `${value} photos`;
+    if (mode === 'coverage-sum') return `${value.toFixed(1)} full frames`;
+    return `${value.toFixed(1)}% of frame`;
+}
+
+// ===== ASSOCIATION METRICS =====
+// How strongly two objects go together across a set of photos, from the
+// photo counts n (all), a and b (each object) and ab (both):
+//   count       - photos containing both
+//   jaccard     - ab / (a + b - ab)
+//   pmi         - log2 of how much more often they co-occur than if independent
+//   npmi        - pmi scaled to [-1, 1] by -log2 P(a, b)
+//   lift        - P(a, b) / (P(a) P(b)); 1 = independent
+//   conditional - P(b | a) = ab / a; directed from a to b
+// threshold is the default minimum for a link to be drawn
+const ASSOCIATION_METRICS = {
+    'count': { label: 'Co-occurrence count', threshold: 5, step: 1, directed: false },
+    'jaccard': { label: 'Jaccard similarity', threshold: 0.05, step: 0.01, directed: false },
+    'pmi': { label: 'PMI', threshold: 0.5, step: 0.1, directed: false },
+    'npmi': { label: 'Normalized PMI', threshold: 0.1, step: 0.05, directed: false },
+    'lift': { label: 'Lift', threshold: 1.5, step: 0.1, directed: false },
+    'conditional': { label: 'P(B | A)', threshold: 0.3, step: 0.05, directed: true }
+};
+
+// Photo counts behind every metric for a pair of objects
+function getPairCounts(photos, object1, object2) {
+    const counts = { n: photos.length, a: 0, b: 0, ab: 0 };
+    photos.forEach(p => {
+        if (p.has[object1]) counts.a++;
+        if (p.has[object2]) counts.b++;
+        if (p.has[object1] && p.has[object2]) counts.ab++;
+    });
+    return counts;
+}
+
+// Value of a metric for pair counts (for 'conditional', P(object2 | object1));
+// null when it is undefined, e.g. PMI of a pair that never co-occurs
+function getAssociation({ n, a, b, ab }, metric = 'count') {
+    if (metric === 'count') return ab;
+    if (metric === 'jaccard') return a + b - ab > 0 ? ab / (a + b - ab) : null;
+    if (metric === 'conditional') return a > 0 ? ab / a : null;
+    if (ab === 0 || n === 0) return null;
+
+    const lift = (ab * n) / (a * b);
+    if (metric === 'lift') return lift;
+    const pmi = Math.log2(lift);
+    if (metric === 'pmi') return pmi;
+    // A pair present in every photo is perfectly associated
+    return ab === n ? 1 : pmi / -Math.log2(ab / n);
+}
+
+function formatAssociation(value, metric = 'count') {
+    if (value === null) return 'n/a';
+    if (metric === 'count') return `${value} photos`;
+    if (metric === 'conditional') return `${(value * 100).toFixed(1)}%`;
+    if (metric === 'lift') return `${value.toFixed(2)}×`;
+    return value.toFixed(3);
+}
+
+// ----- Significance -----
+// Whether a pair co-occurs more or less often than if the two objects were
+// independent: two-sided Fisher exact test on the 2×2 presence table
+const P_VALUE_CORRECTIONS = {
+    'none': { label: 'No correction' },
+    'bonferroni': { label: 'Bonferroni' },
+    'fdr': { label: 'False discovery rate (Benjamini–Hochberg)' }
+};
+const SIGNIFICANCE_LEVEL = 0.05;
+
+const logFactorials = [0]; // log(k!), grown as needed
+
+function logFactorial(k) {
+    for (let i = logFactorials.length; i <= k; i++) {
+        logFactorials[i] = logFactorials[i - 1] + Math.log(i);
+    }
+    return logFactorials[k];
+}
+
+// p-value of pair counts (see getPairCounts); expected is the joint count
+// under independence, so ab above it means a positive association
+function fisherExactTest({ n, a, b, ab }) {
+    // log P(joint count = k) for fixed totals (hypergeometric)
+    const logP = k => logFactorial(a) + logFactorial(n - a) + logFactorial(b) + logFactorial(n - b) -
+        logFactorial(n) - logFactorial(k) - logFactorial(a - k) - logFactorial(b - k) - logFactorial(n - a - b + k);
+    const observed = logP(ab);
+    let p = 0;
+    for (let k = Math.max(0, a + b - n); k <= Math.min(a, b); k++) {
+        const logPk = logP(k);
+        // Tables at most as likely as the observed one (with a little slack for rounding)
+        if (logPk <= observed + 1e-7) p += Math.exp(logPk);
+    }
+    return { p: Math.min(p, 1), expected: n > 0 ? a * b / n : 0 };
+}
+
+// p-values adjusted for testing many pairs at once, in the same order
+function adjustPValues(pValues, correction = 'fdr') {
+    const m = pValues.length;
+    if (correction === 'bonferroni') return pValues.map(p => Math.min(p * m, 1));
+    if (correction !== 'fdr') return pValues.slice();
+
+    // Benjamini–Hochberg step-up: p * m / rank, made monotone from the largest p down
+    const order = d3.range(m).sort((i, j) => pValues[i] - pValues[j]);
+    const adjusted = new Array(m);
+    let running = 1;
+    for (let rank = m; rank >= 1; rank--) {
+        const i = order[rank - 1];
+        running = Math.min(running, pValues[i] * m / rank);
+        adjusted[i] = running;
+    }
+    return adjusted;
+}
+
+function formatPValue(p) {
+    return p < 0.001 ? p.toExponential(1) : p.toFixed(3);
+}
+
+// ===== COMMUNITY DETECTION =====
+// Groups of objects that are linked more to each other than to the rest of a
+// weighted graph (edges are { source, target, weight } between ids, weight > 0):
+//   louvain           - greedy modularity optimization, merging groups level by level
+//   label-propagation - each object repeatedly takes the label with the most
+//                       link weight among its neighbors
+// Both visit objects in the given order, so results are reproducible
+const COMMUNITY_METHODS = {
+    'none': { label: 'Off' },
+    'louvain': { label: 'Louvain (modularity)' },
+    'label-propagation': { label: 'Label propagation' }
+};
+
+// Communities as lists of ids, largest first; objects without edges are on their own
+function detectCommunities(ids, edges, method = 'louvain') {
+    if (ids.length === 0) return [];
+    const index = new Map(ids.map((id, i) => [id, i]));
+    const indexedEdges = edges
+        .filter(e => e.weight > 0 && index.has(e.source) && index.has(e.target) && e.source !== e.target)
+        .map(e => ({ source: index.get(e.source), target: index.get(e.target), weight: e.weight }));
+
+    let groups;
+    if (method === 'label-propagation') {
+        const labels = propagateLabels(ids.length, indexedEdges);
+        groups = d3.groups(d3.range(ids.length), i => labels[i]).map(([, members]) => members.map(i => ids[i]));
+    } else {
+        groups = louvain(ids.length, indexedEdges).map(members => members.map(i => ids[i]));
+    }
+    return groups.sort((a, b) => b.length - a.length);
+}
+
+// Weighted neighbor lists; a self-loop counts twice towards a node's degree
+function getAdjacency(n, edges) {
+    const adjacency = d3.range(n).map(() => []);
+    const degrees = new Array(n).fill(0);
+    edges.forEach(({ source, target, weight }) => {
+        adjacency[source].push({ node: target, weight: weight });
+        if (source !== target) adjacency[target].push({ node: source, weight: weight });
+        degrees[source] += weight;
+        degrees[target] += weight;
+    });
+    return { adjacency, degrees };
+}
+
+function louvain(n, edges) {
+    // Nothing to merge (and no community numbers to count)
+    if (n === 0) return [];
+    let groups = d3.range(n).map(i => [i]);
+    let levelEdges = edges;
+    while (true) {
+        const community = moveNodesLocally(groups.length, levelEdges);
+        const count = d3.max(community) + 1;
+        if (count === groups.length) break;
+
+        // Collapse each community into one node; links inside it become a self-loop
+        const merged = d3.range(count).map(() => []);
+        groups.forEach((members, i) => merged[community[i]].push(...members));
+        const weights = new Map();
+        levelEdges.forEach(({ source, target, weight }) => {
+            const c1 = Math.min(community[source], community[target]);
+            const c2 = Math.max(community[source], community[target]);
+            const key = `${c1}|${c2}`;
+            weights.set(key, (weights.get(key) || 0) + weight);
+        });
+        groups = merged;
+        levelEdges = [...weights].map(([key, weight]) => {
+            const [source, target] = key.split('|').map(Number);
+            return { source, target, weight };
+        });
+    }
+    return groups;
+}
+
+// One Louvain level: move nodes to the neighboring community that raises
+// modularity most until none moves. Returns community numbers 0..k-1
+function moveNodesLocally(n, edges) {
+    const { adjacency, degrees } = getAdjacency(n, edges);
+    const totalDegree = d3.sum(degrees);
+    const community = d3.range(n);
+    if (totalDegree === 0) return community;
+    const communityDegrees = degrees.slice();
+
+    let moved = true;
+    for (let pass = 0; moved && pass < 100; pass++) {
+        moved = false;
+        for (let i = 0; i < n; i++) {
+            const current = community[i];
+            const linkWeights = new Map([[current, 0]]);
+            adjacency[i].forEach(({ node, weight }) => {
+                if (node !== i) linkWeights.set(community[node], (linkWeights.get(community[node]) || 0) + weight);
+            });
+
+            communityDegrees[current] -= degrees[i];
+            // Modularity gain of joining community c, up to a constant factor
+            const gain = c => linkWeights.get(c) - communityDegrees[c] * degrees[i] / totalDegree;
+            let best = current;
+            linkWeights.forEach((weight, c) => {
+                if (gain(c) > gain(best) + 1e-12) best = c;
+            });
+            communityDegrees[best] += degrees[i];
+            if (best !== current) {
+                community[i] = best;
+                moved = true;
+            }
+        }
+    }
+
+    // Renumber in order of first appearance
+    const numbers = new Map();
+    return community.map(c => {
+        if (!numbers.has(c)) numbers.set(c, numbers.size);
+        return numbers.get(c);
+    });
+}
+
+// Labels after propagation settles; ties keep the current label, else the lowest
+function propagateLabels(n, edges) {
+    const { adjacency } = getAdjacency(n, edges);
+    const labels = d3.range(n);
+    let changed = true;
+    for (let pass = 0; changed && pass < 100; pass++) {
+        changed = false;
+        for (let i = 0; i < n; i++) {
+            if (adjacency[i].length === 0) continue;
+            const weights = new Map();
+            adjacency[i].forEach(({ node, weight }) => {
+                weights.set(labels[node], (weights.get(labels[node]) || 0) + weight);
+            });
+            const most = d3.max(weights.values());
+            const candidates = [...weights].filter(([, weight]) => weight >= most - 1e-12).map(([label]) => label);
+            const label = candidates.includes(labels[i]) ? labels[i] : d3.min(candidates);
+            if (label !== labels[i]) {
+                labels[i] = label;
+                changed = true;
+            }
+        }
+    }
+    return labels;
+}
+
+// Modularity Q of a partition (lists of ids): the share of link weight inside
+// communities minus the share expected if links were placed at random
+function getModularity(communities, edges) {
+    const community = new Map();
+    communities.forEach((members, c) => members.forEach(id => community.set(id, c)));
+    const totalWeight = d3.sum(edges, e => e.weight);
+    if (totalWeight === 0) return 0;
+
+    const inside = new Array(communities.length).fill(0);
+    const degrees = new Array(communities.length).fill(0);
+    edges.forEach(({ source, target, weight }) => {
+        if (community.get(source) === community.get(target)) inside[community.get(source)] += weight;
+        degrees[community.get(source)] += weight;
+        degrees[community.get(target)] += weight;
+    });
+    return d3.sum(communities, (members, c) => inside[c] / totalWeight - Math.pow(degrees[c] / (2 * totalWeight), 2));
+}
+
+// ===== IMAGE ORDERING =====
+// Order in which photos are shown by treemap collages, photo galleries and the
+// intro rotation; collages show the first photos that fit, so this also picks
+// which photos represent a tile:
+//   coverage      - largest area covered by the objects in question first
+//   artist        - one photo per artist in turn, for diversity
+//   chronological - oldest first (undated photos last)
+//   random        - shuffled, reproducibly for a given seed
+const IMAGE_ORDERS = {
+    'coverage': { label: 'Largest coverage first' },
+    'artist': { label: 'One per artist' },
+    'chronological': { label: 'Chronological' },
+    'random': { label: 'Random (seeded)' }
+};
+
+let imageOrder = 'coverage';
+let imageOrderSeed = 1;
+
+function setImageOrder(mode, seed = imageOrderSeed) {
+    if (!IMAGE_ORDERS[mode] || !Number.isInteger(seed)) return;
+    imageOrder = mode;
+    imageOrderSeed = seed;
+}
+
+function getImageOrder() {
+    return imageOrder;
+}
+
+function getImageOrderSeed() {
+    return imageOrderSeed;
+}
+
+// Stable pseudo-random number for a photo id and seed (FNV-1a hash plus a
+// final mix, so that consecutive ids don't get similar numbers)
+function hashPhotoId(id, seed = 0) {
+    let hash = 2166136261 ^ seed;
+    const text = String(id);
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// Photo ids in the current order. objects are the object keys the photos were
+// picked for (all objects if empty), used by 'coverage'. Ids without a record
+// keep their relative order at the end. Ties fall back to the hash so that
+// equal photos don't always appear in dataset order
+function orderImageIds(imageIds, objects = []) {
+    const keys = objects.length > 0 ? objects : datasetObjects;
+    const known = [];
+    const unknown = [];
+    imageIds.forEach(id => {
+        const photo = getPhotoById(id);
+        if (photo) known.push({ id: id, photo: photo, hash: hashPhotoId(id, imageOrderSeed) });
+        else unknown.push(id);
+    });
+
+    const byHash = (a, b) => a.hash - b.hash;
+    const yearOf = d => d.photo.year === null ? Infinity : d.photo.year;
+    const byYear = (a, b) => yearOf(a) - yearOf(b) || byHash(a, b);
+    let ordered;
+    if (imageOrder === 'coverage') {
+        known.forEach(d => { d.coverage = getPhotoCoverage(d.photo, keys); });
+        ordered = known.sort((a, b) => b.coverage - a.coverage || byHash(a, b));
+    } else if (imageOrder === 'chronological') {
+        ordered = known.sort(byYear);
+    } else if (imageOrder === 'artist') {
+        // Round robin over artists (most photographed first), each artist's
+        // photos oldest first
+        const byArtist = d3.groups(known, d => d.photo.artist || '')
+            .sort((a, b) => b[1].length - a[1].length || d3.ascending(a[0], b[0]))
+            .map(([, photos]) => photos.sort(byYear));
+        ordered = [];
+        for (let round = 0; ordered.length < known.length; round++) {
+            byArtist.forEach(photos => {
+                if (round < photos.length) ordered.push(photos[round]);
+            });
+        }
+    } else {
+        ordered = known.sort(byHash);
+    }
+
+    return ordered.map(d => d.id).concat(unknown);
+}
+
+// ===== EXPORT FOR DEBUGGING =====
+window.dataLoader = {
+    loadPhotographData,
+    setCoverageThreshold,
+    getCoverageThreshold,
+    getAllPhotos,
+    getPhotoById,
+    getPhotosByYear,
+    getPhotosByDecade,
+    getPhotosWithObject,
+    getPhotosByNationality,
+    getPhotosByGender,
+    getAvailableGenders,
+    getPhotosInYearRange,
+    groupPhotosByDecade,
+    getPhotoYears,
+    getYearExtent,
+    setTimeBinning,
+    getTimeBinning,
+    getTimeBins,
+    getBinForYear,
+    groupPhotosByBin,
+    getObjectWeight,
+    getObjectShare,
+    getPairWeight,
+    getPairCounts,
+    getAssociation,
+    fisherExactTest,
+    adjustPValues,
+    detectCommunities,
+    getModularity,
+    setImageOrder,
+    getImageOrder,
+    orderImageIds
+};
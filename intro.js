@@ -16,18 +16,38 @@ function initIntro() {
         'What do these images reveal about how we see ourselves?'
     ];
 
-    const setRandomImage = () => {
+    // Rotate through the photos in the selected image order. The order is read
+    // on every step: the strategy, seed (restored from the URL or changed by the
+    // controls) and the photo data for ordering by it can all change meanwhile
+    const photoId = path => path.replace(/^.*\//, '').replace(/\.jpg$/, '');
+    const ids = ALL_MET_IMAGES.map(photoId);
+    let images = [];
+    let imagesOrder = null;
+    let imageIndex = 0;
+
+    const getImages = () => {
+        const order = `${getImageOrder()}:${getImageOrderSeed()}:${getAllPhotos().length}`;
+        if (order !== imagesOrder) {
+            images = orderImageIds(ids).map(getPhotoUrl);
+            imagesOrder = order;
+        }
+        return images;
+    };
+
+    const setNextImage = () => {
         if (!rotating) return;
-        const randomImage = ALL_MET_IMAGES[Math.floor(Math.random() * ALL_MET_IMAGES.length)];
+        const images = getImages();
+        const nextImage = images[imageIndex % images.length];
+        imageIndex = (imageIndex + 1) % images.length;
         const img = new Image();
         img.onload = () => {
-            introImage.style('background-image', `url('${randomImage}')`)
+            introImage.style('background-image', `url('${nextImage}')`)
                      .style('background-size', 'cover')
                      .style('background-position', 'center');
         }
-        img.src = randomImage;
+        img.src = nextImage;
         delay = Math.max(delay * 0.9, 75);
-        setTimeout(setRandomImage, delay);
+        setTimeout(setNextImage, delay);
     };
 
     const setGradient = () => {
@@ -45,7 +65,7 @@ function initIntro() {
         }
     };
 
-    setRandomImage();
+    setNextImage();
     setTimeout(setGradient, 500);
 }
 
@@ -0,0 +1,107 @@
+/**
+ * Object taxonomy registry
+ * Single source of truth for the 27 detected object categories: their labels,
+ * stable colors and membership in the display groups used by the treemap
+ */
+
+// ===== DISPLAY GROUPS =====
+// Order here is the order groups are listed in; family is a broad theme
+const OBJECT_GROUPS = [
+    { name: 'Person', family: 'animals' },
+    { name: 'Animal', family: 'animals' },
+    { name: 'Greenery', family: 'nature' },
+    { name: 'Water', family: 'nature' },
+    { name: 'Mountain', family: 'nature' },
+    { name: 'Road', family: 'infrastructure' },
+    { name: 'Building', family: 'infrastructure' },
+    { name: 'Vehicle', family: 'infrastructure' },
+    { name: 'Household Objects', family: 'object' }
+];
+
+const OBJECT_FAMILY_COLORS = {
+    'animals': '#3BA3FF',   // light blue
+    'nature': '#9B7BFF',    // purple
+    'infrastructure': '#FF7BB0', // pink
+    'object': '#FF9A3B'     // orange
+};
+
+// ===== OBJECTS =====
+// Colors come from a color-blind safe palette (Okabe & Ito + Tol) so each
+// object keeps the same color in every chart. group is the display group the
+// object is counted under (null = not part of any group)
+const OBJECT_REGISTRY = [
+    { key: 'person', label: 'Person', color: '#E69F00', group: 'Person' },          // orange
+    { key: 'building', label: 'Building', color: '#56B4E9', group: 'Building' },    // sky blue
+    { key: 'tree', label: 'Tree', color: '#009E73', group: 'Greenery' },            // bluish green
+    { key: 'water', label: 'Water', color: '#F0E442', group: 'Water' },             // yellow
+    { key: 'mountain', label: 'Mountain', color: '#0072B2', group: 'Mountain' },    // blue
+    { key: 'grass', label: 'Grass', color: '#D55E00', group: 'Greenery' },          // vermillion
+    { key: 'animal', label: 'Animal', color: '#CC79A7', group: 'Animal' },          // reddish purple
+    { key: 'house', label: 'House', color: '#000000', group: 'Building' },          // black
+    { key: 'road', label: 'Road', color: '#882255', group: 'Road' },                // wine
+    { key: 'boat', label: 'Boat', color: '#44AA99', group: 'Vehicle' },             // teal
+    { key: 'rock', label: 'Rock', color: '#117733', group: 'Mountain' },            // green
+    { key: 'sidewalk', label: 'Sidewalk', color: '#999933', group: 'Road' },        // olive
+    { key: 'fence', label: 'Fence', color: '#DDCC77', group: 'Road' },              // sand
+    { key: 'sea', label: 'Sea', color: '#CC6677', group: 'Water' },                 // rose
+    { key: 'column', label: 'Column', color: '#AA4499', group: null },              // purple
+    { key: 'river', label: 'River', color: '#88CCEE', group: 'Water' },             // cyan
+    { key: 'plant', label: 'Plant', color: '#661100', group: 'Greenery' },          // brown
+    { key: 'curtain', label: 'Curtain', color: '#332288', group: 'Household Objects' }, // indigo
+    { key: 'windowpane', label: 'Windowpane', color: '#AA4466', group: 'Household Objects' }, // mauve
+    { key: 'chair', label: 'Chair', color: '#6699CC', group: 'Household Objects' }, // light blue
+    { key: 'field', label: 'Field', color: '#997700', group: 'Greenery' },          // dark yellow
+    { key: 'table', label: 'Table', color: '#EE8866', group: 'Household Objects' }, // peach
+    { key: 'hovel', label: 'Hovel', color: '#EEDD88', group: 'Building' },          // pale yellow
+    { key: 'tent', label: 'Tent', color: '#FFAABB', group: null },                  // pink
+    { key: 'bridge', label: 'Bridge', color: '#99DDFF', group: 'Road' },            // pale cyan
+    { key: 'bench', label: 'Bench', color: '#44BB99', group: null },                // aqua
+    { key: 'pier', label: 'Pier', color: '#EECC66', group: null }                   // gold
+];
+
+const objectRegistryByKey = new Map(OBJECT_REGISTRY.map(o => [o.key, o]));
+
+// ===== LOOKUP HELPERS =====
+function getObjectKeys() {
+    return OBJECT_REGISTRY.map(o => o.key);
+}
+
+function getObjectInfo(key) {
+    return objectRegistryByKey.get(key);
+}
+
+function getObjectLabel(key) {
+    const info = objectRegistryByKey.get(key);
+    return info ? info.label : key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+function getObjectColor(key) {
+    const info = objectRegistryByKey.get(key);
+    return info ? info.color : '#999999';
+}
+
+// Display groups with their member object keys, in OBJECT_GROUPS order
+function getCategoryGroups() {
+    return OBJECT_GROUPS.map(g => ({
+        name: g.name,
+        family: g.family,
+        color: OBJECT_FAMILY_COLORS[g.family],
+        members: OBJECT_REGISTRY.filter(o => o.group === g.name).map(o => o.key)
+    }));
+}
+
+function getGroupMembers(groupName) {
+    return OBJECT_REGISTRY.filter(o => o.group === groupName).map(o => o.key);
+}
+
+// ===== EXPORT FOR DEBUGGING =====
+window.objectRegistry = {
+    OBJECT_REGISTRY,
+    OBJECT_GROUPS,
+    getObjectKeys,
+    getObjectInfo,
+    getObjectLabel,
+    getObjectColor,
+    getCategoryGroups,
+    getGroupMembers
+};
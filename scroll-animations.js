@@ -195,29 +195,34 @@ function initImageMorphing() {
 }
 
 // ===== FILTER BUTTON INTERACTIONS =====
-document.addEventListener('DOMContentLoaded', function() {
-    const filterButtons = document.querySelectorAll('.filter-btn');
+// Delegated so buttons added later (e.g. built from the data) work too.
+// Buttons sharing a data-filter-group are mutually exclusive; clicking the
+// active button again clears that group.
+document.addEventListener('click', function(event) {
+    const button = event.target.closest('.filter-btn');
+    if (!button) return;
     
-    filterButtons.forEach(button => {
-        button.addEventListener('click', function() {
-            // Remove active class from all buttons
-            filterButtons.forEach(btn => btn.classList.remove('active'));
-            
-            // Add active class to clicked button
-            this.classList.add('active');
-            
-            // Get filter value
-            const filter = this.dataset.filter;
-            
-            // Emit custom event for visualizations to listen to
-            const filterEvent = new CustomEvent('filterChange', {
-                detail: { filter: filter }
-            });
-            document.dispatchEvent(filterEvent);
-            
-            console.log('Filter changed to:', filter);
-        });
+    const group = button.dataset.filterGroup || 'default';
+    const wasActive = button.classList.contains('active');
+    
+    // Remove active class from all buttons in the same group
+    document.querySelectorAll('.filter-btn').forEach(btn => {
+        if ((btn.dataset.filterGroup || 'default') === group) {
+            btn.classList.remove('active');
+        }
+    });
+    
+    // Add active class to clicked button
+    if (!wasActive) button.classList.add('active');
+    
+    // Get filter value
+    const filter = wasActive ? 'all' : button.dataset.filter;
+    
+    // Emit custom event for visualizations to listen to
+    const filterEvent = new CustomEvent('filterChange', {
+        detail: { filter: filter, group: group }
     });
+    document.dispatchEvent(filterEvent);
 });
 
 // ===== PARALLAX EFFECTS (Optional Enhancement) =====
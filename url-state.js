@@ -0,0 +1,373 @@
+/**
+ * Shareable URL state
+ * Serializes every visualization control into the page's query string and
+ * restores it on load, so a view can be bookmarked or sent as a link
+ */
+
+// ===== STATE FIELDS =====
+// Each field maps one query parameter to a control. get() returns the current
+// value as a string; set() applies a value from the URL (invalid values are
+// ignored). Values equal to defaultValue are left out of the URL.
+const URL_STATE_FIELDS = [
+    {
+        key: 'year',
+        defaultValue: '1870',
+        get: () => {
+            const slider = document.getElementById('year-slider');
+            return slider ? slider.value : null;
+        },
+        set: value => {
+            const slider = document.getElementById('year-slider');
+            if (!slider || isNaN(+value)) return;
+            // Real bounds come from the data once it loads; don't clamp to the placeholder ones
+            slider.min = Math.min(+slider.min, +value);
+            slider.max = Math.max(+slider.max, +value);
+            slider.value = +value;
+        }
+    },
+    {
+        key: 'pct',
+        defaultValue: '0',
+        get: () => checkboxState('percent-toggle'),
+        set: value => setCheckboxState('percent-toggle', value)
+    },
+    {
+        key: 'agg',
+        defaultValue: 'period',
+        get: () => selectState('treemap-aggregation'),
+        set: value => setSelectState('treemap-aggregation', value)
+    },
+    {
+        // Older links: cum=1 meant cumulative aggregation
+        key: 'cum',
+        defaultValue: null,
+        get: () => null,
+        set: value => {
+            if (value === '1') setSelectState('treemap-aggregation', 'cumulative');
+        }
+    },
+    {
+        key: 'win',
+        defaultValue: '5',
+        get: () => {
+            const input = document.getElementById('window-size');
+            return input ? input.value : null;
+        },
+        set: value => {
+            const input = document.getElementById('window-size');
+            if (input && !isNaN(+value) && +value >= 0) input.value = +value;
+        }
+    },
+    {
+        key: 'winAlign',
+        defaultValue: 'centered',
+        get: () => selectState('window-align'),
+        set: value => setSelectState('window-align', value)
+    },
+    {
+        key: 'group',
+        defaultValue: '',
+        get: () => treemapFocus || '',
+        set: value => setTreemapFocus(getCategoryGroups().some(g => g.name === value) ? value : null)
+    },
+    {
+        key: 'speed',
+        defaultValue: '1',
+        get: () => selectState('play-speed'),
+        set: value => setSelectState('play-speed', value)
+    },
+    {
+        key: 'loop',
+        defaultValue: '0',
+        get: () => checkboxState('loop-toggle'),
+        set: value => setCheckboxState('loop-toggle', value)
+    },
+    {
+        key: 'skip',
+        defaultValue: '1',
+        get: () => checkboxState('skip-empty-toggle'),
+        set: value => setCheckboxState('skip-empty-toggle', value)
+    },
+    {
+        key: 'canvas',
+        defaultValue: '0',
+        get: () => checkboxState('canvas-collage-toggle'),
+        set: value => setCheckboxState('canvas-collage-toggle', value)
+    },
+    {
+        key: 'top10',
+        defaultValue: '0',
+        get: () => showAllObjects ? '0' : '1',
+        set: value => {
+            showAllObjects = value !== '1';
+            const toggleText = document.getElementById('toggle-text');
+            if (toggleText) toggleText.textContent = showAllObjects ? 'Show Top 10 Only' : 'Show All Objects';
+        }
+    },
+    {
+        key: 'view',
+        defaultValue: 'streamgraph',
+        get: () => currentViewType,
+        set: value => {
+            const buttons = document.querySelectorAll('.toggle-btn[data-view]');
+            if (![...buttons].some(b => b.dataset.view === value)) return;
+            currentViewType = value;
+            buttons.forEach(b => b.classList.toggle('active', b.dataset.view === value));
+        }
+    },
+    {
+        key: 'objects',
+        defaultValue: 'person,building,tree,water,mountain',
+        get: () => selectedObjects.join(','),
+        set: value => {
+            const keys = getObjectKeys();
+            const objects = value.split(',').filter(obj => keys.includes(obj)).slice(0, MAX_OBJECTS);
+            if (objects.length > 0) selectedObjects = objects;
+        }
+    },
+    {
+        key: 'nat1',
+        defaultValue: 'all',
+        get: () => selectedNationality1,
+        set: value => { selectedNationality1 = value; }
+    },
+    {
+        key: 'nat2',
+        defaultValue: 'all',
+        get: () => selectedNationality2,
+        set: value => { selectedNationality2 = value; }
+    },
+    {
+        key: 'gender1',
+        defaultValue: 'all',
+        get: () => selectedGender1,
+        set: value => { selectedGender1 = value; }
+    },
+    {
+        key: 'gender2',
+        defaultValue: 'all',
+        get: () => selectedGender2,
+        set: value => { selectedGender2 = value; }
+    },
+    {
+        key: 'cohort1',
+        defaultValue: '',
+        get: () => serializeCohort(1),
+        set: value => restoreCohort(1, value)
+    },
+    {
+        key: 'cohort2',
+        defaultValue: '',
+        get: () => serializeCohort(2),
+        set: value => restoreCohort(2, value)
+    },
+    {
+        key: 'lock',
+        defaultValue: '0',
+        get: () => lockScales ? '1' : '0',
+        set: value => { lockScales = value === '1'; }
+    },
+    {
+        key: 'diff',
+        defaultValue: '0',
+        get: () => showDifference ? '1' : '0',
+        set: value => { showDifference = value === '1'; }
+    },
+    {
+        key: 'diffMode',
+        defaultValue: 'difference',
+        get: () => differenceMode,
+        set: value => {
+            if (DIFFERENCE_MODES[value]) differenceMode = value;
+        }
+    },
+    {
+        key: 'link',
+        defaultValue: 'count',
+        get: () => linkMetric,
+        set: value => {
+            if (ASSOCIATION_METRICS[value]) linkMetric = value;
+        }
+    },
+    {
+        key: 'linkMin',
+        defaultValue: '',
+        get: () => linkThreshold === null ? '' : String(linkThreshold),
+        set: value => {
+            if (value !== '' && !isNaN(+value)) linkThreshold = +value;
+        }
+    },
+    {
+        key: 'netPeriod',
+        defaultValue: 'all',
+        get: () => String(networkPeriod),
+        set: value => {
+            networkPeriod = value === 'all' || isNaN(+value) ? 'all' : +value;
+        }
+    },
+    {
+        key: 'netFocus',
+        defaultValue: '',
+        get: () => networkFocus || '',
+        set: value => {
+            if (getObjectKeys().includes(value)) networkFocus = value;
+        }
+    },
+    {
+        key: 'themes',
+        defaultValue: 'none',
+        get: () => communityMethod,
+        set: value => {
+            if (COMMUNITY_METHODS[value]) communityMethod = value;
+        }
+    },
+    {
+        key: 'sig',
+        defaultValue: '0',
+        get: () => significantLinksOnly ? '1' : '0',
+        set: value => { significantLinksOnly = value === '1'; }
+    },
+    {
+        key: 'pAdjust',
+        defaultValue: 'fdr',
+        get: () => pValueCorrection,
+        set: value => {
+            if (P_VALUE_CORRECTIONS[value]) pValueCorrection = value;
+        }
+    },
+    {
+        key: 'rank',
+        defaultValue: 'count',
+        get: () => rankingMeasure,
+        set: value => {
+            if (value === 'count' || value === 'coverage-mean') rankingMeasure = value;
+        }
+    },
+    {
+        key: 'rankPeriod',
+        defaultValue: 'all',
+        get: () => String(rankingPeriod),
+        set: value => {
+            rankingPeriod = value === 'all' || isNaN(+value) ? 'all' : +value;
+        }
+    },
+    {
+        key: 'filters',
+        defaultValue: '',
+        get: () => Object.values(activeFilters).join(','),
+        set: value => {
+            activeFilters = {};
+            value.split(',').forEach(key => {
+                const filter = getTimelineFilter(key);
+                if (filter) activeFilters[filter.group] = key;
+            });
+        }
+    },
+    {
+        key: 'bins',
+        defaultValue: 'decade',
+        get: () => getTimeBinning(),
+        set: value => setTimeBinning(value)
+    },
+    {
+        key: 'breaks',
+        defaultValue: DEFAULT_BREAKPOINTS,
+        get: () => getBreakpointText(),
+        set: value => setTimeBinning(getTimeBinning(), value)
+    },
+    {
+        key: 'order',
+        defaultValue: 'coverage',
+        get: () => getImageOrder(),
+        set: value => setImageOrder(value)
+    },
+    {
+        key: 'seed',
+        defaultValue: '1',
+        get: () => String(getImageOrderSeed()),
+        set: value => setImageOrder(getImageOrder(), parseInt(value, 10))
+    },
+    {
+        key: 'weight',
+        defaultValue: 'count',
+        get: () => weightMode,
+        set: value => {
+            if (WEIGHT_MODES[value]) weightMode = value;
+        }
+    },
+    {
+        key: 'cov',
+        defaultValue: '0',
+        get: () => String(getCoverageThreshold()),
+        set: value => {
+            const slider = document.getElementById('coverage-threshold');
+            if (isNaN(+value)) return;
+            if (slider) slider.value = +value;
+            setCoverageThreshold(+value);
+        }
+    }
+];
+
+function checkboxState(id) {
+    const checkbox = document.getElementById(id);
+    return checkbox && checkbox.checked ? '1' : '0';
+}
+
+function setCheckboxState(id, value) {
+    const checkbox = document.getElementById(id);
+    if (checkbox) checkbox.checked = value === '1';
+}
+
+function selectState(id) {
+    const select = document.getElementById(id);
+    return select ? select.value : null;
+}
+
+// Only values the select offers are applied
+function setSelectState(id, value) {
+    const select = document.getElementById(id);
+    if (select && [...select.options].some(o => o.value === value)) select.value = value;
+}
+
+// ===== READ / WRITE =====
+// Apply the URL's state to globals and controls; call before the controls
+// are built and before any visualization draws
+function restoreUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    URL_STATE_FIELDS.forEach(field => {
+        if (params.has(field.key)) field.set(params.get(field.key));
+    });
+}
+
+function writeUrlState() {
+    const params = new URLSearchParams();
+    URL_STATE_FIELDS.forEach(field => {
+        const value = field.get();
+        if (value !== undefined && value !== null && value !== field.defaultValue) {
+            params.set(field.key, value);
+        }
+    });
+
+    // Keep commas (object lists), cohort separators and breakpoint names readable
+    const query = params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':').replace(/%3B/g, ';').replace(/%3D/g, '=');
+    const url = window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+    window.history.replaceState(null, '', url);
+}
+
+// Any control change updates the URL; listeners on document run after the
+// controls' own handlers have updated the globals
+function initUrlStateSync() {
+    let pending = null;
+    const schedule = () => {
+        clearTimeout(pending);
+        pending = setTimeout(writeUrlState, 200);
+    };
+    ['input', 'change', 'click'].forEach(type => document.addEventListener(type, schedule));
+}
+
+// ===== EXPORT FOR DEBUGGING =====
+window.urlState = {
+    URL_STATE_FIELDS,
+    restoreUrlState,
+    writeUrlState
+};
@@ -5,8 +5,8 @@
  */
 
 // ===== GLOBAL VARIABLES =====
-let photographData = [];
-let currentFilter = 'all';
+let photographData = []; // Typed records from data-loader.js
+let activeFilters = {}; // Global timeline filters: filter group -> filter key (see getTimelineFilter)
 let currentViewType = 'streamgraph';
 let selectedObjects = ['person', 'building', 'tree', 'water', 'mountain'];
 const MAX_OBJECTS = 5;
@@ -14,29 +14,61 @@ let showAllObjects = true; // Toggle between all objects and top 10
 let selectedNationality1 = 'all'; // Nationality filter for graph 1
 let selectedNationality2 = 'all'; // Nationality filter for graph 2
 let availableNationalities = []; // List of all valid nationalities
+let selectedGender1 = 'all'; // Gender filter for graph 1 ('all', 'unknown' or a gender)
+let selectedGender2 = 'all'; // Gender filter for graph 2
+let weightMode = 'count'; // 'count', 'coverage-sum' or 'coverage-mean' (see WEIGHT_MODES)
+let redrawVisualization1 = null; // Redraws the treemap with the current slider/toggle state
+let canvasCollages = false; // Paint treemap collages into one canvas sprite per tile
+let treemapFocus = null; // Display group the treemap is zoomed into (null = all groups)
+let rankingMeasure = 'count'; // Visualization 3 measure: 'count' or 'coverage-mean'
+let rankingPeriod = 'all'; // Visualization 3 time bin filter ('all' or a bin start year like 1860)
+let showDifference = false; // Show the cohort 1 − cohort 2 panel under the timeline graphs
+let differenceMode = 'difference'; // Difference panel measure: 'difference' or 'log-ratio'
+let lockScales = false; // Draw both timeline graphs on the same x and y domains
+let linkMetric = 'count'; // Co-occurrence network link strength (see ASSOCIATION_METRICS)
+let linkThreshold = null; // Minimum link strength in that metric (null = the metric's default)
+let significantLinksOnly = false; // Only draw links whose pair test is significant
+let pValueCorrection = 'fdr'; // Multiple-comparison correction (see P_VALUE_CORRECTIONS)
+let networkPeriod = 'all'; // Co-occurrence network time bin ('all' or a bin start year like 1860)
+let redrawNetworkPeriod = null; // Re-weights the network for networkPeriod, keeping its layout
+let networkSimulation = null; // Force simulation of the drawn network, stopped when it is rebuilt
+let networkFocus = null; // Object pinned in the network's ego view (null = none)
+let communityMethod = 'none'; // Co-occurrence network theme clustering (see COMMUNITY_METHODS)
 
 // ===== DATA LOADING =====
 document.addEventListener('DOMContentLoaded', function() {
-    // Setup control listeners first (before data loads)
+    // Restore shared-link state, then setup control listeners (before data loads)
+    restoreUrlState();
     setupControlListeners();
+    initUrlStateSync();
     
-    // Load the dataset
-    d3.csv('final_dataset.csv').then(data => {
-        photographData = data;
+    // Load and normalize the dataset once
+    loadPhotographData('final_dataset.csv', { genderUrl: 'artist_gender.csv' }).then(records => {
+        photographData = records;
         console.log('Loaded', photographData.length, 'photographs');
         
-        // Populate nationality dropdown after data is loaded
+        // Populate nationality/gender dropdowns and data-driven filter buttons after data is loaded
         populateNationalityDropdown();
+        populateGenderDropdowns();
+        populateWorkTypeFilters();
+        initCohortBuilder(1);
+        initCohortBuilder(2);
         
         initIntro();
         initVisualization1();
         initVisualization2();
+        initVisualization3();
         initMainVisualization();
     });
     
-    // Listen for filter changes
+    // Listen for filter changes (one active filter per group; groups compose)
     document.addEventListener('filterChange', function(e) {
-        currentFilter = e.detail.filter;
+        const { filter, group = 'default' } = e.detail;
+        if (filter === 'all' || !getTimelineFilter(filter)) {
+            delete activeFilters[group];
+        } else {
+            activeFilters[group] = filter;
+        }
         updateMainVisualization();
     });
 });
@@ -61,116 +93,319 @@ function initVisualization1() {
     const slider = document.getElementById('year-slider');
     const yearLabel = document.getElementById('year-label');
     const percentToggle = document.getElementById('percent-toggle');
-    const cumulativeToggle = document.getElementById('cumulative-toggle');
+    const aggregationSelect = document.getElementById('treemap-aggregation');
+    const windowSize = document.getElementById('window-size');
+    const windowAlign = document.getElementById('window-align');
+    const windowControls = document.getElementById('window-controls');
+    const canvasToggle = document.getElementById('canvas-collage-toggle');
 
     const vizHeight = 630; // drawing area height
 
     if (slider && yearLabel) {
-        slider.min = 1840;
-        slider.max = 1917; // Last year with photos
-        slider.step = 1;
-        slider.value = 1870;
-        yearLabel.textContent = slider.value;
+        // Which photos around the slider year the treemap aggregates
+        const readAggregation = () => ({
+            mode: aggregationSelect ? aggregationSelect.value : 'period',
+            size: windowSize ? Math.max(0, +windowSize.value || 0) : 5,
+            align: windowAlign ? windowAlign.value : 'centered'
+        });
+
+        // Bounds come from the data. Step through whole time bins; custom
+        // bins have uneven widths and a rolling window moves with the year,
+        // so then the slider moves by year
+        const configureSlider = () => {
+            const size = readAggregation().mode === 'window' ? null : TIME_BINNINGS[getTimeBinning()].size;
+            const [firstYear, lastYear] = getYearExtent();
+            const year = Math.min(Math.max(+slider.value, firstYear), lastYear);
+            slider.min = size ? getBinForYear(firstYear).start : firstYear;
+            slider.max = lastYear;
+            slider.step = size || 1;
+            slider.value = size ? getBinForYear(year).start : year;
+            drawYearDensity(+slider.min, lastYear);
+        };
 
         const draw = () => {
             const year = +slider.value;
             const asPercent = percentToggle && percentToggle.checked;
-            const cumulative = cumulativeToggle && cumulativeToggle.checked;
-            yearLabel.textContent = year;
-            drawSubjectTreemap(svg, width, vizHeight, year, asPercent, cumulative);
+            const aggregation = readAggregation();
+            canvasCollages = !!(canvasToggle && canvasToggle.checked);
+            if (windowControls) windowControls.style.display = aggregation.mode === 'window' ? '' : 'none';
+            if (aggregation.mode === 'window') {
+                const [start, end] = getTreemapYearRange(year, aggregation);
+                yearLabel.textContent = start === end ? start : `${start}–${end}`;
+            } else {
+                yearLabel.textContent = getBinForYear(year).label;
+            }
+            highlightYearDensity(year, aggregation);
+            drawSubjectTreemap(svg, width, vizHeight, year, asPercent, aggregation);
         };
 
         // initial draw
+        configureSlider();
+        renderTreemapBreadcrumb();
         draw();
+        redrawVisualization1 = () => {
+            configureSlider();
+            draw();
+        };
 
         slider.addEventListener('input', draw);
         if (percentToggle) percentToggle.addEventListener('change', draw);
-        if (cumulativeToggle) cumulativeToggle.addEventListener('change', draw);
+        // Entering or leaving window mode changes how the slider steps
+        if (aggregationSelect) aggregationSelect.addEventListener('change', redrawVisualization1);
+        [windowSize, windowAlign, canvasToggle].forEach(control => {
+            if (control) control.addEventListener('change', draw);
+        });
+
+        setupTreemapPlayback(slider, draw, readAggregation);
     } else {
-        drawSubjectTreemap(svg, width, vizHeight, 1870, false, false);
-    }
-}
-
-// Helper: aggregate counts for chosen decade into display categories
-function getCategoryCountsForYear(year, cumulative = false) {
-    // Map of display categories to underlying dataset fields
-    const categoryMap = {
-        'Person': ['has_person'],
-        'Animal': ['has_animal'],
-        'Greenery': ['has_tree', 'has_grass', 'has_plant', 'has_field'],
-        'Water': ['has_water', 'has_river', 'has_sea'],
-        'Mountain': ['has_mountain', 'has_rock'],
-        'Road': ['has_road', 'has_sidewalk', 'has_fence', 'has_bridge'],
-        'Building': ['has_building', 'has_house', 'has_hovel'],
-        'Vehicle': ['has_boat'],
-        'Household Objects': ['has_chair', 'has_table', 'has_windowpane', 'has_curtain']
+        redrawVisualization1 = () => drawSubjectTreemap(svg, width, vizHeight, 1870, false, false);
+        redrawVisualization1();
+    }
+}
+
+// Play/pause, step and speed controls that move the year slider one time bin
+// (or one year for a rolling window) at a time, redrawing the treemap (and its
+// tile transitions) at each step
+function setupTreemapPlayback(slider, draw, readAggregation) {
+    const playButton = document.getElementById('play-toggle');
+    const backButton = document.getElementById('step-back');
+    const forwardButton = document.getElementById('step-forward');
+    const speedSelect = document.getElementById('play-speed');
+    const loopToggle = document.getElementById('loop-toggle');
+    const skipToggle = document.getElementById('skip-empty-toggle');
+    if (!playButton) return;
+
+    let timer = null;
+
+    const isWindow = () => readAggregation().mode === 'window';
+
+    // Start of the next (or previous) bin, or the next year for a rolling
+    // window; null past either end of the slider
+    const nextBinStart = (year, direction) => {
+        let next = year + direction;
+        if (!isWindow()) {
+            const bin = getBinForYear(year);
+            next = direction > 0 ? bin.end : getBinForYear(bin.start - 1).start;
+        }
+        return next > +slider.max || next < +slider.min ? null : next;
     };
 
-    // Initialize counts
-    const counts = {};
-    Object.keys(categoryMap).forEach(k => counts[k] = 0);
-
-    // Filter photos for the exact year or all years up to the selected year if cumulative
-    const yearPhotos = photographData.filter(d => {
-        const y = +d.creation_year;
-        if (!y || isNaN(y)) return false;
-        if (cumulative) {
-            return Math.floor(y) <= Math.floor(year);
+    // Where looping wraps around to: the slider's first or last position
+    const wrapStart = direction => {
+        if (direction > 0) return +slider.min;
+        return isWindow() ? +slider.max : getBinForYear(+slider.max).start;
+    };
+
+    // Move one step, optionally past ones the treemap would draw empty (with the
+    // current aggregation), wrapping around when looping.
+    // Returns false when there is nowhere left to go
+    const step = direction => {
+        const skipEmpty = skipToggle && skipToggle.checked;
+        const loop = loopToggle && loopToggle.checked;
+        let year = +slider.value;
+        let wrapped = false;
+
+        do {
+            let next = nextBinStart(year, direction);
+            if (next === null) {
+                if (!loop || wrapped) return false;
+                next = wrapStart(direction);
+                wrapped = true;
+            }
+            year = next;
+        } while (skipEmpty && getPhotosForYear(year, readAggregation()).length === 0);
+
+        slider.value = year;
+        draw();
+        return true;
+    };
+
+    const pause = () => {
+        clearInterval(timer);
+        timer = null;
+        playButton.textContent = '▶ Play';
+        playButton.setAttribute('aria-pressed', 'false');
+    };
+
+    const play = () => {
+        clearInterval(timer);
+        // Restart from the beginning when already at the end
+        if (nextBinStart(+slider.value, 1) === null && !(loopToggle && loopToggle.checked)) {
+            slider.value = slider.min;
+            draw();
         }
-        // compare integer year
-        return Math.floor(y) === Math.floor(year);
+        timer = setInterval(() => {
+            if (!step(1)) pause();
+        }, 1200 / +speedSelect.value);
+        playButton.textContent = '❚❚ Pause';
+        playButton.setAttribute('aria-pressed', 'true');
+    };
+
+    playButton.addEventListener('click', () => (timer ? pause() : play()));
+    backButton.addEventListener('click', () => step(-1));
+    forwardButton.addEventListener('click', () => step(1));
+    // A new speed takes effect immediately
+    speedSelect.addEventListener('change', () => {
+        if (timer) play();
     });
+}
+
+let yearDensityRange = null; // [minYear, maxYear] of the drawn histogram, redrawn on resize
+let yearDensityActive = null; // [start, end] years marked as shown by the treemap
+
+// Mini histogram of photos per year drawn along the slider track, so gaps
+// (years without photos) are visible before dragging into them. It is sized
+// in pixels to line up with the thumb, so it is redrawn when the page resizes
+function drawYearDensity(minYear, maxYear) {
+    const svg = d3.select('#year-density');
+    const slider = document.getElementById('year-slider');
+    if (svg.empty() || !slider) return;
+    yearDensityRange = [minYear, maxYear];
+
+    const width = slider.offsetWidth || 420;
+    const height = 36;
+    const thumbRadius = 8; // The thumb's center never reaches the track ends
+    svg.attr('width', width).attr('height', height).selectAll('*').remove();
+
+    const years = getPhotoYears().filter(y => y >= minYear && y <= maxYear);
+    const xScale = d3.scaleLinear()
+        .domain([minYear, maxYear + 1])
+        .range([thumbRadius, width - thumbRadius]);
+    // Square root so single-photo years stay visible next to busy ones
+    const yScale = d3.scaleSqrt()
+        .domain([0, d3.max(years, y => getPhotosByYear(y).length) || 1])
+        .range([0, height - 4]);
+
+    svg.append('line')
+        .attr('x1', xScale(minYear))
+        .attr('x2', xScale(maxYear + 1))
+        .attr('y1', height - 0.5)
+        .attr('y2', height - 0.5)
+        .attr('stroke', '#ccc');
+
+    svg.selectAll('rect.year-density-bar')
+        .data(years)
+        .join('rect')
+        .attr('class', 'year-density-bar')
+        .attr('x', y => xScale(y))
+        .attr('width', y => Math.max(1, xScale(y + 1) - xScale(y) - 0.5))
+        .attr('y', y => height - yScale(getPhotosByYear(y).length))
+        .attr('height', y => yScale(getPhotosByYear(y).length))
+        .append('title')
+        .text(y => `${y}: ${getPhotosByYear(y).length} photos`);
+}
+
+// Mark the years the treemap currently shows on the slider histogram
+function highlightYearDensity(year, aggregation = { mode: 'period' }) {
+    yearDensityActive = getTreemapYearRange(year, aggregation);
+    markYearDensity();
+}
+
+function markYearDensity() {
+    if (!yearDensityActive) return;
+    const [start, end] = yearDensityActive;
+    d3.selectAll('#year-density rect.year-density-bar')
+        .classed('active', y => y >= start && y <= end);
+}
+
+window.addEventListener('resize', () => {
+    if (!yearDensityRange) return;
+    drawYearDensity(...yearDensityRange);
+    markYearDensity();
+});
+
+// Helper: [first, last] year (inclusive) the treemap aggregates for a slider year:
+//   period     - the time bin containing it
+//   cumulative - every bin up to and including that one
+//   window     - size years either side of it (centered) or before it (trailing)
+function getTreemapYearRange(year, aggregation = { mode: 'period' }) {
+    if (aggregation.mode === 'window') {
+        return [year - aggregation.size, aggregation.align === 'trailing' ? year : year + aggregation.size];
+    }
+    const bin = getBinForYear(year);
+    return [aggregation.mode === 'cumulative' ? -Infinity : bin.start, bin.end - 1];
+}
+
+// Helper: photos the treemap shows for a slider year (see getTreemapYearRange)
+function getPhotosForYear(year, aggregation = { mode: 'period' }) {
+    const [start, end] = getTreemapYearRange(year, aggregation);
+    return getPhotosInYearRange(start, end);
+}
+
+// Helper: caption text for the treemap's period, e.g. "1870–1874", "Up to 1870s"
+// or "1865–1875 (±5 years)"
+function describeTreemapPeriod(year, aggregation = { mode: 'period' }) {
+    if (aggregation.mode === 'window') {
+        const [start, end] = getTreemapYearRange(year, aggregation);
+        const extent = aggregation.align === 'trailing' ? `${aggregation.size} years up to ${year}` : `±${aggregation.size} years`;
+        return `${start === end ? start : `${start}–${end}`} (${extent})`;
+    }
+    const bin = getBinForYear(year);
+    const label = bin.label === bin.range ? bin.range : `${bin.label} (${bin.range})`;
+    return aggregation.mode === 'cumulative' ? `Up to ${label}` : label;
+}
+
+// Helper: aggregate counts for chosen period into display categories
+function getCategoryCountsForYear(year, aggregation = { mode: 'period' }) {
+    // Display groups and their member objects come from the object registry
+    const groups = getCategoryGroups();
+
+    // Initialize counts
+    const counts = {};
+    groups.forEach(g => counts[g.name] = 0);
+
+    // Photos for the time bin, all bins up to it, or the rolling window
+    const yearPhotos = getPhotosForYear(year, aggregation);
 
     // Sum occurrences
     yearPhotos.forEach(p => {
-        Object.entries(categoryMap).forEach(([cat, fields]) => {
-            for (const f of fields) {
-                if (p[f] === '1.0') {
-                    counts[cat] += 1;
+        groups.forEach(({ name, members }) => {
+            for (const f of members) {
+                if (p.has[f]) {
+                    counts[name] += 1;
                     break; // count once per photo per category
                 }
             }
         });
     });
 
+    // Weight of each category under the current weight mode (equals counts in count mode)
+    const weights = {};
+    groups.forEach(({ name, members }) => {
+        weights[name] = weightMode === 'count' ? counts[name] : getObjectWeight(yearPhotos, members, weightMode);
+    });
+
     const total = yearPhotos.length;
-    // Return raw counts and the total so caller can normalize as needed
-    return { counts, total };
+    // Return raw counts, weights and the total so caller can normalize as needed
+    return { counts, weights, total };
 }
 
-// Helper: Get image IDs for a category and year
-function getImagesForCategory(categoryName, year, cumulative = false) {
-    // Map of display categories to underlying dataset fields
-    const categoryMap = {
-        'Person': ['has_person'],
-        'Animal': ['has_animal'],
-        'Greenery': ['has_tree', 'has_grass', 'has_plant', 'has_field'],
-        'Water': ['has_water', 'has_river', 'has_sea'],
-        'Mountain': ['has_mountain', 'has_rock'],
-        'Road': ['has_road', 'has_sidewalk', 'has_fence', 'has_bridge'],
-        'Building': ['has_building', 'has_house', 'has_hovel'],
-        'Vehicle': ['has_boat'],
-        'Household Objects': ['has_chair', 'has_table', 'has_windowpane', 'has_curtain']
-    };
+// Helper: counts and weights of each member object of a display group, in the
+// same shape as getCategoryCountsForYear (keyed by object key)
+function getMemberCountsForYear(groupName, year, aggregation = { mode: 'period' }) {
+    const yearPhotos = getPhotosForYear(year, aggregation);
+    const counts = {};
+    const weights = {};
+    getGroupMembers(groupName).forEach(obj => {
+        counts[obj] = getObjectWeight(yearPhotos, obj, 'count');
+        weights[obj] = getObjectWeight(yearPhotos, obj, weightMode);
+    });
+    return { counts, weights, total: yearPhotos.length };
+}
 
-    const fields = categoryMap[categoryName] || [];
+// Helper: Get image IDs for a category and year
+function getImagesForCategory(categoryName, year, aggregation = { mode: 'period' }) {
+    const fields = getGroupMembers(categoryName);
     
-    // Filter photos for the year
-    const yearPhotos = photographData.filter(d => {
-        const y = +d.creation_year;
-        if (!y || isNaN(y)) return false;
-        if (cumulative) {
-            return Math.floor(y) <= Math.floor(year);
-        }
-        return Math.floor(y) === Math.floor(year);
-    });
+    // Photos for the same period as the counts
+    const yearPhotos = getPhotosForYear(year, aggregation);
 
     // Get photos that match the category
     const matchingPhotos = [];
     yearPhotos.forEach(p => {
         for (const f of fields) {
-            if (p[f] === '1.0') {
-                matchingPhotos.push(p.object_id);
+            if (p.has[f]) {
+                matchingPhotos.push(p.id);
                 break; // only add once per photo
             }
         }
@@ -179,21 +414,60 @@ function getImagesForCategory(categoryName, year, cumulative = false) {
     return matchingPhotos;
 }
 
-// Helper: Get image IDs for photos that have both objects (co-occurrence)
-function getCooccurrenceImages(object1, object2) {
-    const hasField1 = `has_${object1}`;
-    const hasField2 = `has_${object2}`;
-    
+// Helper: Get image IDs for photos that have both objects (co-occurrence),
+// among all photos or the given ones
+function getCooccurrenceImages(object1, object2, photos = null) {
     // Get all photos that have both objects
-    const matchingPhotos = photographData
-        .filter(p => p[hasField1] === '1.0' && p[hasField2] === '1.0')
-        .map(p => p.object_id);
+    const matchingPhotos = (photos || getPhotosWithObject(object1))
+        .filter(p => p.has[object1] && p.has[object2])
+        .map(p => p.id);
     
     return matchingPhotos;
 }
 
-// Draws a treemap/mosaic for the provided year with image collages
-function drawSubjectTreemap(svg, width, vizHeight, year, asPercent = false, cumulative = false) {
+// Helper: Get image IDs for photos that contain most (more than half) of the
+// given objects, among the given photos
+function getThemeImages(objects, photos) {
+    const quorum = Math.floor(objects.length / 2) + 1;
+    return photos
+        .filter(p => objects.filter(obj => p.has[obj]).length >= quorum)
+        .map(p => p.id);
+}
+
+// Zoom the treemap into a display group's member objects, or back out with null.
+// Groups with a single member have nothing to zoom into
+function setTreemapFocus(groupName) {
+    treemapFocus = groupName && getGroupMembers(groupName).length > 1 ? groupName : null;
+    renderTreemapBreadcrumb();
+}
+
+// "All categories › Greenery"; every crumb but the current one zooms back out
+function renderTreemapBreadcrumb() {
+    const nav = d3.select('#treemap-breadcrumb');
+    if (nav.empty()) return;
+
+    const crumbs = [{ label: 'All categories', focus: null }];
+    if (treemapFocus) crumbs.push({ label: treemapFocus, focus: treemapFocus });
+
+    nav.selectAll('*').remove();
+    crumbs.forEach((crumb, i) => {
+        if (i > 0) nav.append('span').attr('class', 'breadcrumb-separator').text('›');
+        const isCurrent = i === crumbs.length - 1;
+        nav.append('button')
+            .attr('class', `breadcrumb-item${isCurrent ? ' current' : ''}`)
+            .attr('aria-current', isCurrent ? 'true' : null)
+            .attr('disabled', isCurrent ? true : null)
+            .text(crumb.label)
+            .on('click', () => {
+                setTreemapFocus(crumb.focus);
+                if (redrawVisualization1) redrawVisualization1();
+            });
+    });
+}
+
+// Draws a treemap/mosaic for the provided year with image collages; zoomed
+// into one display group (see setTreemapFocus) the tiles are its member objects
+function drawSubjectTreemap(svg, width, vizHeight, year, asPercent = false, aggregation = { mode: 'period' }) {
     // leave room on the right for legend by increasing right margin
     const margin = { top: 60, right: 20, bottom: 20, left: 20 };
     const innerWidth = width - margin.left - margin.right;
@@ -208,22 +482,25 @@ function drawSubjectTreemap(svg, width, vizHeight, year, asPercent = false, cumu
         g.attr('transform', `translate(${margin.left},${margin.top})`);
     }
 
-    // get raw counts and year total
-    const dataObj = getCategoryCountsForYear(year, cumulative);
+    // get raw counts and year total, per display group or per member object when zoomed in
+    const focus = treemapFocus;
+    const dataObj = focus ? getMemberCountsForYear(focus, year, aggregation) : getCategoryCountsForYear(year, aggregation);
     const counts = dataObj.counts;
+    const weights = dataObj.weights;
     const photosInYear = dataObj.total;
 
     // compute sum of category counts (could be > photosInYear because photos can contain multiple categories)
     const sumCounts = Object.values(counts).reduce((s, v) => s + v, 0);
+    const sumWeights = Object.values(weights).reduce((s, v) => s + v, 0);
 
     // If no photos in year, show placeholder and clear existing tiles
-    if (photosInYear === 0 || sumCounts === 0) {
+    if (photosInYear === 0 || sumCounts === 0 || sumWeights === 0) {
         // remove any existing tiles smoothly
         g.selectAll('.tile').transition().duration(150).style('opacity', 0).remove();
         // update caption - centered and larger
         const cap = rootG.selectAll('g.viz1-caption').data([1]);
         const capEnter = cap.enter().append('g').attr('class', 'viz1-caption');
-        capEnter.merge(cap).selectAll('text').data([`No photographs in ${year}`]).join('text')
+        capEnter.merge(cap).selectAll('text').data([`No ${focus ? `${focus.toLowerCase()} ` : ''}photographs in ${describeTreemapPeriod(year, aggregation)}`]).join('text')
             .attr('x', width / 2)
             .attr('y', vizHeight / 2)
             .attr('text-anchor', 'middle')
@@ -237,9 +514,17 @@ function drawSubjectTreemap(svg, width, vizHeight, year, asPercent = false, cumu
     // Build children with both raw count and value (value is used for treemap sizing)
     const children = Object.keys(counts).map(k => {
         const cnt = counts[k] || 0;
-        const val = asPercent ? (sumCounts > 0 ? (cnt / sumCounts) * 100 : 0) : cnt;
-        const imageIds = getImagesForCategory(k, year, cumulative);
-        return { name: k, count: cnt, value: val, imageIds: imageIds };
+        const weight = weights[k] || 0;
+        const val = asPercent ? (sumWeights > 0 ? (weight / sumWeights) * 100 : 0) : weight;
+        const objects = focus ? [k] : getGroupMembers(k);
+        const imageIds = focus
+            ? orderImageIds(getPhotosForYear(year, aggregation).filter(p => p.has[k]).map(p => p.id), objects)
+            : orderImageIds(getImagesForCategory(k, year, aggregation), objects);
+        // Only groups with several members can be zoomed into
+        const canZoom = !focus && getGroupMembers(k).length > 1;
+        // Groups and objects can share a name (the "Water" group holds the "Water" object),
+        // so tiles are keyed by level too
+        return { key: focus ? `object:${k}` : `group:${k}`, name: focus ? getObjectLabel(k) : k, count: cnt, weight: weight, value: val, imageIds: imageIds, objects: objects, canZoom: canZoom };
     });
 
     const root = d3.hierarchy({ children: children })
@@ -252,29 +537,14 @@ function drawSubjectTreemap(svg, width, vizHeight, year, asPercent = false, cumu
         .paddingTop(6)
         (root);
 
-    // Color mapping: group categories into broader families (fallback colors)
-    const family = {
-        'Person': 'animals',
-        'Animal': 'animals',
-        'Greenery': 'nature',
-        'Water': 'nature',
-        'Mountain': 'nature',
-        'Road': 'infrastructure',
-        'Building': 'infrastructure',
-        'Vehicle': 'infrastructure',
-        'Household Objects': 'object'
-    };
-
-    const familyColor = {
-        'animals': '#3BA3FF',   // light blue
-        'nature': '#9B7BFF',    // purple
-        'infrastructure': '#FF7BB0', // pink
-        'object': '#FF9A3B'     // orange
-    };
-
-    // Data join for tiles (enter/update/exit) keyed by name
+    // Data join for tiles (enter/update/exit) keyed by level and name
     const leaves = root.leaves();
-    const tiles = g.selectAll('g.tile').data(leaves, d => d.data.name);
+    const tiles = g.selectAll('g.tile').data(leaves, d => d.data.key);
+    const clipId = d => `clip-${d.data.key.replace(/[^\w-]/g, '-')}`;
+
+    // When zooming in, new tiles grow out of the tile that was clicked
+    const zoomOrigin = g.select(`g.tile[data-key="group:${focus}"]`);
+    const originTransform = focus && !zoomOrigin.empty() ? zoomOrigin.attr('transform') : null;
 
     // EXIT
     tiles.exit().transition().duration(200).style('opacity', 0).remove();
@@ -283,12 +553,13 @@ function drawSubjectTreemap(svg, width, vizHeight, year, asPercent = false, cumu
     const tilesEnter = tiles.enter()
         .append('g')
         .attr('class', 'tile')
-        .attr('transform', d => `translate(${d.x0},${d.y0})`) // initial
+        .attr('data-key', d => d.data.key)
+        .attr('transform', d => originTransform || `translate(${d.x0},${d.y0})`) // initial
         .style('opacity', 0);
 
     // Add a clipPath for each tile to contain images
     tilesEnter.append('clipPath')
-        .attr('id', d => `clip-${d.data.name.replace(/\s+/g, '-')}`)
+        .attr('id', clipId)
         .append('rect')
         .attr('class', 'tile-clip')
         .attr('width', 1)
@@ -297,7 +568,7 @@ function drawSubjectTreemap(svg, width, vizHeight, year, asPercent = false, cumu
     // Add a group for the collage
     tilesEnter.append('g')
         .attr('class', 'tile-collage')
-        .attr('clip-path', d => `url(#clip-${d.data.name.replace(/\s+/g, '-')})`);
+        .attr('clip-path', d => `url(#${clipId(d)})`);
 
     // Add border rectangle
     tilesEnter.append('rect')
@@ -331,13 +602,13 @@ function drawSubjectTreemap(svg, width, vizHeight, year, asPercent = false, cumu
         .style('text-shadow', '2px 2px 4px rgba(0,0,0,0.8)')
         .style('pointer-events', 'none')
         .style('text-anchor', 'middle')
-        .text(d => asPercent ? d.data.value.toFixed(1) + '%' : d.data.value + ' photos');
+        .text(d => asPercent ? d.data.value.toFixed(1) + '%' : formatWeight(d.data.weight, weightMode));
 
     // MERGE
     const tilesMerge = tilesEnter.merge(tiles);
 
     // Transition tiles to new positions/sizes
-    cumulative ? tilesMerge.transition().duration(50).style('opacity', 1).attr('transform', d => `translate(${d.x0},${d.y0})`) :
+    aggregation.mode === 'cumulative' ? tilesMerge.transition().duration(50).style('opacity', 1).attr('transform', d => `translate(${d.x0},${d.y0})`) :
                  tilesMerge.transition().duration(250).style('opacity', 1).attr('transform', d => `translate(${d.x0},${d.y0})`); 
 
     // Update clip paths
@@ -353,114 +624,17 @@ function drawSubjectTreemap(svg, width, vizHeight, year, asPercent = false, cumu
         .attr('width', d => Math.max(0, d.x1 - d.x0))
         .attr('height', d => Math.max(0, d.y1 - d.y0));
 
-    // Update collages with images - fill all available space with better packing
+    // Update collages with a sample of each tile's photos sized to its area
+    const shownIds = new Set();
     tilesMerge.each(function(d) {
         const tileWidth = d.x1 - d.x0;
         const tileHeight = d.y1 - d.y0;
-        const imageIds = d.data.imageIds;
-        
-        if (imageIds.length === 0) return;
-        
-        // Calculate optimal grid that fills the space with ALL images
-        const numImages = imageIds.length;
-        const aspectRatio = tileWidth / tileHeight;
-        
-        // Start with a square-ish grid and adjust
-        let cols = Math.ceil(Math.sqrt(numImages * aspectRatio));
-        let rows = Math.ceil(numImages / cols);
-        
-        // Adjust to ensure we can fit all images
-        while (cols * rows < numImages) {
-            if (cols / rows < aspectRatio) {
-                cols++;
-            } else {
-                rows++;
-            }
-        }
-        
-        const imgWidth = tileWidth / cols;
-        const imgHeight = tileHeight / rows;
-        
-        // Create display array with better distribution across rows
-        const displayData = [];
-        const totalCells = cols * rows;
-        const emptyCells = totalCells - numImages;
-        
-        if (emptyCells > 0 && emptyCells < cols) {
-            // Distribute empty cells by expanding images in the last row
-            const imagesInLastRow = numImages - (rows - 1) * cols;
-            const extraWidthPerImage = (cols * imgWidth) / imagesInLastRow;
-            
-            let imageIndex = 0;
-            
-            // Add all rows except last
-            for (let row = 0; row < rows - 1; row++) {
-                for (let col = 0; col < cols; col++) {
-                    if (imageIndex < numImages) {
-                        displayData.push({
-                            id: imageIds[imageIndex],
-                            x: col * imgWidth,
-                            y: row * imgHeight,
-                            width: imgWidth,
-                            height: imgHeight
-                        });
-                        imageIndex++;
-                    }
-                }
-            }
-            
-            // Last row with expanded images
-            for (let i = 0; i < imagesInLastRow; i++) {
-                if (imageIndex < numImages) {
-                    displayData.push({
-                        id: imageIds[imageIndex],
-                        x: i * extraWidthPerImage,
-                        y: (rows - 1) * imgHeight,
-                        width: extraWidthPerImage,
-                        height: imgHeight
-                    });
-                    imageIndex++;
-                }
-            }
-        } else {
-            // Regular grid - no expansion needed
-            let imageIndex = 0;
-            for (let row = 0; row < rows; row++) {
-                for (let col = 0; col < cols; col++) {
-                    if (imageIndex < numImages) {
-                        displayData.push({
-                            id: imageIds[imageIndex],
-                            x: col * imgWidth,
-                            y: row * imgHeight,
-                            width: imgWidth,
-                            height: imgHeight
-                        });
-                        imageIndex++;
-                    }
-                }
-            }
-        }
-
-        // Select collage group and bind image data
-        const collageGroup = d3.select(this).select('.tile-collage');
-        const images = collageGroup.selectAll('image')
-            .data(displayData, d => d.id);
-
-        // Remove old images
-        images.exit().remove();
-
-        // Add new images
-        images.enter()
-            .append('image')
-            .attr('href', d => `images_met_resized/${d.id}.jpg`)
-            .attr('preserveAspectRatio', 'xMidYMid slice')
-            .merge(images)
-            .attr('x', d => d.x)
-            .attr('y', d => d.y)
-            .attr('width', d => d.width)
-            .attr('height', d => d.height)
-            .style('opacity', 0.9);
+        const imageIds = sampleCollageIds(d.data.imageIds, getCollageCapacity(tileWidth, tileHeight));
+        imageIds.forEach(id => shownIds.add(id));
+        const displayData = imageIds.length > 0 ? layoutCollage(imageIds, tileWidth, tileHeight) : [];
+        drawTileCollage(d3.select(this).select('.tile-collage'), displayData, tileWidth, tileHeight);
     });
+    pruneCollageQueue(shownIds);
 
     // Update texts with responsive sizing, centering, and width constraints
     tilesMerge.select('text.tile-name')
@@ -486,7 +660,7 @@ function drawSubjectTreemap(svg, width, vizHeight, year, asPercent = false, cumu
         });
 
     tilesMerge.select('text.tile-value')
-        .text(d => asPercent ? d.data.value.toFixed(1) + '%' : d.data.count + ' photos')
+        .text(d => asPercent ? d.data.value.toFixed(1) + '%' : formatWeight(d.data.weight, weightMode))
         .attr('x', d => (d.x1 - d.x0) / 2)
         .attr('y', d => (d.y1 - d.y0) / 2 + 10)
         .style('font-size', function(d) {
@@ -524,24 +698,34 @@ function drawSubjectTreemap(svg, width, vizHeight, year, asPercent = false, cumu
         .on('mousemove', (event, d) => {
             const raw = d.data.count;
             const normalized = sumCounts > 0 ? (d.data.count / sumCounts) * 100 : 0;
-            const html = `<strong>${d.data.name}</strong><br>${raw} photos<br>${normalized.toFixed(1)}% of category appearances<br><em style="font-size:11px; opacity:0.8;">Click to view all photos</em>`;
+            const weightLine = weightMode === 'count' ? '' : `${formatWeight(d.data.weight, weightMode)}<br>`;
+            const share = `${normalized.toFixed(1)}% of ${focus ? `${focus.toLowerCase()} object` : 'category'} appearances`;
+            const hint = d.data.canZoom ? `Click to see its ${getGroupMembers(d.data.name).length} objects` : 'Click to view all photos';
+            const html = `<strong>${d.data.name}</strong><br>${raw} of ${photosInYear} photos in ${describeTreemapPeriod(year, aggregation)}<br>${weightLine}${share}<br><em style="font-size:11px; opacity:0.8;">${hint}</em>`;
             tooltip.html(html).style('left', (event.pageX + 12) + 'px').style('top', (event.pageY + 12) + 'px').style('display', 'block');
         })
         .on('mouseout', () => tooltip.style('display', 'none'))
         .on('click', function(event, d) {
             event.stopPropagation();
             tooltip.style('display', 'none');
+            // Groups zoom into their objects; objects open their photos
+            if (d.data.canZoom) {
+                setTreemapFocus(d.data.name);
+                if (redrawVisualization1) redrawVisualization1();
+                writeUrlState(); // the click doesn't reach the document-level URL sync
+                return;
+            }
             // Get the clicked element's position and center point in viewport coordinates
             const rect = this.getBoundingClientRect();
             const clickX = rect.left + rect.width / 2;
             const clickY = rect.top + rect.height / 2;
-            showCategoryModal(d.data.name, d.data.imageIds, year, clickX, clickY);
+            showCategoryModal(d.data.name, d.data.imageIds, describeTreemapPeriod(year, aggregation), clickX, clickY, d.data.objects);
         });
 
     // Update caption above mosaic (reuse group) - centered and larger
     const cap = rootG.selectAll('g.viz1-caption').data([1]);
     const capEnter = cap.enter().append('g').attr('class', 'viz1-caption');
-    capEnter.merge(cap).selectAll('text').data([`Year: ${year} ${asPercent ? '(percentages)' : ''}`]).join('text')
+    capEnter.merge(cap).selectAll('text').data([`${focus ? `${focus}: ` : ''}${describeTreemapPeriod(year, aggregation)} — ${photosInYear} photos${asPercent ? ' (percentages)' : ''}${weightMode === 'count' ? '' : ` — ${WEIGHT_MODES[weightMode].label.toLowerCase()}`}`]).join('text')
         .attr('x', width / 2)
         .attr('y', 30)
         .attr('text-anchor', 'middle')
@@ -553,10 +737,232 @@ function drawSubjectTreemap(svg, width, vizHeight, year, asPercent = false, cumu
     // Legend removed as requested - colors are now just for visual appeal
 }
 
+// ===== TREEMAP COLLAGES =====
+// Each tile shows a collage of a sample of its photos. The number of cells is
+// capped by the tile's pixel area, images load through a small queue (only for
+// cells still on screen) and stay cached, so scrubbing the slider only loads
+// the photos that newly appear
+const COLLAGE_MIN_CELL = 36; // smallest collage cell side, in px
+const COLLAGE_MAX_CELLS = 120; // most cells drawn in one tile
+const COLLAGE_MAX_LOADS = 6; // images loading at the same time
+
+const collageImages = new Map(); // photo id -> loaded HTMLImageElement
+const collageCallbacks = new Map(); // photo id -> callbacks waiting for it to load
+let collageQueue = []; // photo ids waiting to load, in request order
+let collageLoading = 0;
+
+function getPhotoUrl(id) {
+    return `images_met_resized/${id}.jpg`;
+}
+
+// Calls back with the loaded image (right away when cached)
+function requestCollageImage(id, callback) {
+    if (collageImages.has(id)) {
+        callback(collageImages.get(id));
+        return;
+    }
+    if (!collageCallbacks.has(id)) {
+        collageCallbacks.set(id, []);
+        collageQueue.push(id);
+    }
+    collageCallbacks.get(id).push(callback);
+    loadNextCollageImages();
+}
+
+function loadNextCollageImages() {
+    while (collageLoading < COLLAGE_MAX_LOADS && collageQueue.length > 0) {
+        const id = collageQueue.shift();
+        const img = new Image();
+        collageLoading++;
+        img.onload = img.onerror = function(event) {
+            collageLoading--;
+            const callbacks = collageCallbacks.get(id) || [];
+            collageCallbacks.delete(id);
+            if (event.type === 'load') {
+                collageImages.set(id, img);
+                callbacks.forEach(callback => callback(img));
+            }
+            loadNextCollageImages();
+        };
+        img.src = getPhotoUrl(id);
+    }
+}
+
+// Drop queued loads for photos no longer shown in any tile (e.g. after the
+// slider moved on); loads already in flight finish and are cached
+function pruneCollageQueue(wantedIds) {
+    collageQueue = collageQueue.filter(id => {
+        if (wantedIds.has(id)) return true;
+        collageCallbacks.delete(id);
+        return false;
+    });
+}
+
+// Photos shown in a tile with room for capacity cells: the first ones in the
+// current image order (imageIds come from orderImageIds). Orders rank photos
+// by their own attributes, so from one year to the next most of the sample
+// stays the same and those cells keep their element and loaded image
+function sampleCollageIds(imageIds, capacity) {
+    return imageIds.slice(0, capacity);
+}
+
+function getCollageCapacity(tileWidth, tileHeight) {
+    const byArea = Math.floor((tileWidth * tileHeight) / (COLLAGE_MIN_CELL * COLLAGE_MIN_CELL));
+    return Math.max(1, Math.min(COLLAGE_MAX_CELLS, byArea));
+}
+
+// Grid cells { id, x, y, width, height } filling the tile with every photo
+function layoutCollage(imageIds, tileWidth, tileHeight) {
+    // Calculate optimal grid that fills the space with ALL images
+    const numImages = imageIds.length;
+    const aspectRatio = tileWidth / tileHeight;
+
+    // Start with a square-ish grid and adjust
+    let cols = Math.ceil(Math.sqrt(numImages * aspectRatio));
+    let rows = Math.ceil(numImages / cols);
+
+    // Adjust to ensure we can fit all images
+    while (cols * rows < numImages) {
+        if (cols / rows < aspectRatio) {
+            cols++;
+        } else {
+            rows++;
+        }
+    }
+
+    const imgWidth = tileWidth / cols;
+    const imgHeight = tileHeight / rows;
+
+    // Create display array with better distribution across rows
+    const displayData = [];
+    const totalCells = cols * rows;
+    const emptyCells = totalCells - numImages;
+    // Distribute empty cells by expanding images in the last row
+    const imagesInLastRow = emptyCells > 0 && emptyCells < cols ? numImages - (rows - 1) * cols : cols;
+    const lastRowWidth = (cols * imgWidth) / imagesInLastRow;
+
+    imageIds.forEach((id, i) => {
+        const row = Math.floor(i / cols);
+        const isLastRow = row === rows - 1;
+        const col = i % cols;
+        displayData.push({
+            id: id,
+            x: isLastRow ? col * lastRowWidth : col * imgWidth,
+            y: row * imgHeight,
+            width: isLastRow ? lastRowWidth : imgWidth,
+            height: imgHeight
+        });
+    });
+    return displayData;
+}
+
+// Draw (or update) the collage of one tile into its .tile-collage group
+function drawTileCollage(collageGroup, displayData, tileWidth, tileHeight) {
+    const sprite = canvasCollages ? createCollageSprite(tileWidth, tileHeight) : null;
+    if (sprite) {
+        collageGroup.selectAll('image.collage-cell').remove();
+        drawCollageSprite(collageGroup, sprite, displayData, tileWidth, tileHeight);
+        return;
+    }
+
+    collageGroup.selectAll('image.collage-sprite').remove();
+
+    // Cells are keyed by photo id, so photos that stay in the sample keep their element
+    const images = collageGroup.selectAll('image.collage-cell')
+        .data(displayData, d => d.id);
+
+    images.exit().remove();
+
+    images.enter()
+        .append('image')
+        .attr('class', 'collage-cell')
+        .attr('preserveAspectRatio', 'xMidYMid slice')
+        .style('opacity', 0.9)
+        .each(function(d) {
+            // Set the href once the queue has loaded the photo (from cache after that)
+            const image = d3.select(this);
+            requestCollageImage(d.id, () => image.attr('href', getPhotoUrl(d.id)));
+        })
+        .merge(images)
+        .attr('x', d => d.x)
+        .attr('y', d => d.y)
+        .attr('width', d => d.width)
+        .attr('height', d => d.height);
+}
+
+// ----- Canvas sprites -----
+// Alternatively the whole collage is painted into one canvas and shown as a
+// single <image>, which is much lighter for the browser with many cells
+
+// Offscreen canvas for a tile, or null when canvases aren't supported
+function createCollageSprite(tileWidth, tileHeight) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext && canvas.getContext('2d');
+    if (!context) return null;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.max(1, Math.round(tileWidth * ratio));
+    canvas.height = Math.max(1, Math.round(tileHeight * ratio));
+    context.scale(ratio, ratio);
+    return { canvas, context };
+}
+
+function drawCollageSprite(collageGroup, sprite, displayData, tileWidth, tileHeight) {
+    const { canvas, context } = sprite;
+    const node = collageGroup.node();
+    // Repaints requested by an older draw of this tile are ignored
+    const token = {};
+    node.__collageToken = token;
+
+    let pending = false;
+    const paint = () => {
+        pending = false;
+        if (node.__collageToken !== token) return;
+        context.clearRect(0, 0, tileWidth, tileHeight);
+        context.globalAlpha = 0.9;
+        displayData.forEach(cell => {
+            const img = collageImages.get(cell.id);
+            if (img) drawImageCover(context, img, cell);
+        });
+        collageGroup.selectAll('image.collage-sprite')
+            .data([null])
+            .join('image')
+            .attr('class', 'collage-sprite')
+            .attr('width', tileWidth)
+            .attr('height', tileHeight)
+            .attr('href', canvas.toDataURL('image/jpeg', 0.85));
+    };
+    // Photos that finish loading are painted in batches, once per frame
+    const schedulePaint = () => {
+        if (pending) return;
+        pending = true;
+        requestAnimationFrame(paint);
+    };
+
+    paint();
+    displayData.forEach(cell => {
+        if (!collageImages.has(cell.id)) requestCollageImage(cell.id, schedulePaint);
+    });
+}
+
+// Like preserveAspectRatio 'xMidYMid slice': fill the cell, cropping the middle
+function drawImageCover(context, img, cell) {
+    const scale = Math.max(cell.width / img.naturalWidth, cell.height / img.naturalHeight);
+    const sourceWidth = cell.width / scale;
+    const sourceHeight = cell.height / scale;
+    context.drawImage(img,
+        (img.naturalWidth - sourceWidth) / 2, (img.naturalHeight - sourceHeight) / 2, sourceWidth, sourceHeight,
+        cell.x, cell.y, cell.width, cell.height);
+}
+
 // ===== MODAL FOR CATEGORY PHOTOS =====
-function showCategoryModal(categoryName, imageIds, year, clickX, clickY) {
+let categoryModalOpener = null; // Element focused before the gallery opened
+
+// objects are the object keys the photos were picked for (for the coverage sort)
+function showCategoryModal(categoryName, imageIds, year, clickX, clickY, objects = []) {
     // Remove existing modal if any
     d3.select('#category-modal').remove();
+    // Focus goes back to what opened the modal when it closes
+    categoryModalOpener = document.activeElement;
     
     // Get main content element to zoom
     const mainContent = d3.select('#main-content');
@@ -573,6 +979,9 @@ function showCategoryModal(categoryName, imageIds, year, clickX, clickY) {
     const modal = d3.select('body')
         .append('div')
         .attr('id', 'category-modal')
+        .attr('role', 'dialog')
+        .attr('aria-modal', 'true')
+        .attr('aria-labelledby', 'category-modal-title')
         .style('position', 'fixed')
         .style('top', '0')
         .style('left', '0')
@@ -586,18 +995,13 @@ function showCategoryModal(categoryName, imageIds, year, clickX, clickY) {
         .style('opacity', '0')
         .style('pointer-events', 'auto');
     
-    // Direct click handler on modal background - FIXED to actually work
+    // Close on clicks on the backdrop itself: the modal, the scroll area and the
+    // space around the grid (content and gridContainer are created below). Clicks
+    // inside the grid, e.g. on an empty-result message or the gap after a
+    // partial last page, keep it open
     const modalElement = modal.node();
     modalElement.addEventListener('click', function(event) {
-        // Check if the click was directly on the modal background (not bubbled from child)
-        // by checking if we clicked on something with the modal-content-area class or an image
-        const clickedElement = event.target;
-        const isImage = clickedElement.tagName === 'IMG';
-        const isImageCard = clickedElement.closest('.image-card');
-        const isHeader = clickedElement.closest('.modal-header');
-        
-        // If we didn't click on an image, image card, or header, close the modal
-        if (!isImage && !isImageCard && !isHeader) {
+        if ([modalElement, content.node(), gridContainer.node()].includes(event.target)) {
             closeCategoryModal();
         }
     }, true);
@@ -640,11 +1044,22 @@ function showCategoryModal(categoryName, imageIds, year, clickX, clickY) {
         .style('z-index', '100001');
     
     header.append('h2')
+        .attr('id', 'category-modal-title')
         .style('margin', '0')
         .style('font-size', '24px')
         .style('font-weight', '600')
         .text(`${categoryName} — ${year} (${imageIds.length} photos)`);
     
+    const closeButton = header.append('button')
+        .attr('class', 'modal-close-btn')
+        .attr('aria-label', 'Close gallery')
+        .text('×')
+        .on('click', closeCategoryModal);
+    
+    // Sort, filter and page controls; the grid shows one page at a time
+    const toolbar = modal.append('div')
+        .attr('class', 'modal-toolbar');
+    
     // Create scrollable content area with safe centering that doesn't cut off top content
     const content = modal.append('div')
         .attr('class', 'modal-content-area')
@@ -678,6 +1093,112 @@ function showCategoryModal(categoryName, imageIds, year, clickX, clickY) {
         .style('max-width', '100%')
         .style('width', '100%');
     
+    const photos = imageIds.map(id => getPhotoById(id)).filter(Boolean);
+    const gallery = { sort: 'order', artist: 'all', nationality: 'all', object: 'all', page: 0 };
+    let firstPage = true;
+    
+    const addSelect = (label, key, options) => {
+        const select = toolbar.append('label')
+            .attr('class', 'modal-toolbar-control')
+            .text(`${label}: `)
+            .append('select');
+        options.forEach(({ value, text }) => select.append('option').attr('value', value).text(text));
+        select.on('change', function() {
+            gallery[key] = this.value;
+            gallery.page = 0;
+            renderPage();
+        });
+    };
+    // Filter choices present in these photos, most common first, with counts
+    const countOptions = (allText, valuesOf, textOf = value => value) => [{ value: 'all', text: allText }].concat(
+        d3.rollups(photos.flatMap(valuesOf), v => v.length, value => value)
+            .sort((a, b) => b[1] - a[1] || d3.ascending(textOf(a[0]), textOf(b[0])))
+            .map(([value, count]) => ({ value: value, text: `${textOf(value)} (${count})` })));
+    
+    addSelect('Sort', 'sort', Object.entries(GALLERY_SORTS)
+        .filter(([sort]) => sort !== 'coverage' || objects.length > 0)
+        .map(([sort, { label }]) => ({ value: sort, text: label })));
+    addSelect('Artist', 'artist', countOptions('All artists', p => p.artist ? [p.artist] : []));
+    addSelect('Nationality', 'nationality', countOptions('All nationalities', p => p.nationalities));
+    addSelect('Also contains', 'object', countOptions('Any object',
+        p => getObjectKeys().filter(obj => p.has[obj] && !objects.includes(obj)), getObjectLabel));
+    
+    const resultCount = toolbar.append('span').attr('class', 'modal-result-count');
+    const pager = toolbar.append('span').attr('class', 'modal-pager');
+    const previousButton = pager.append('button').text('‹ Previous').on('click', () => turnPage(-1));
+    const pageLabel = pager.append('span').attr('class', 'modal-page-label');
+    const nextButton = pager.append('button').text('Next ›').on('click', () => turnPage(1));
+    
+    const getResults = () => {
+        const results = photos.filter(p =>
+            (gallery.artist === 'all' || p.artist === gallery.artist) &&
+            (gallery.nationality === 'all' || p.nationalities.includes(gallery.nationality)) &&
+            (gallery.object === 'all' || p.has[gallery.object]));
+        const compare = GALLERY_SORTS[gallery.sort].compare;
+        return compare ? results.slice().sort((a, b) => compare(a, b, objects)) : results;
+    };
+    
+    function turnPage(step) {
+        gallery.page += step;
+        renderPage();
+        content.node().scrollTop = 0;
+    }
+    
+    function renderPage() {
+        const results = getResults();
+        const pageCount = Math.max(1, Math.ceil(results.length / GALLERY_PAGE_SIZE));
+        gallery.page = Math.max(0, Math.min(gallery.page, pageCount - 1));
+        const start = gallery.page * GALLERY_PAGE_SIZE;
+        const pageIds = results.slice(start, start + GALLERY_PAGE_SIZE).map(p => p.id);
+        
+        resultCount.text(results.length === photos.length
+            ? `${results.length} photos`
+            : `${results.length} of ${photos.length} photos`);
+        pager.style('display', pageCount > 1 ? null : 'none');
+        pageLabel.text(`${start + 1}–${start + pageIds.length} (page ${gallery.page + 1} of ${pageCount})`);
+        previousButton.attr('disabled', gallery.page === 0 ? true : null);
+        nextButton.attr('disabled', gallery.page === pageCount - 1 ? true : null);
+        
+        grid.selectAll('*').remove();
+        if (pageIds.length === 0) {
+            grid.append('p')
+                .attr('class', 'modal-empty')
+                .text('No photos match these filters.');
+            return;
+        }
+        // Cards wait for the zoom into the modal the first time only
+        drawGalleryCards(grid, pageIds, firstPage ? 800 : 0, results.map(p => p.id));
+        firstPage = false;
+    }
+    
+    renderPage();
+    closeButton.node().focus();
+}
+
+// ===== GALLERY PAGES =====
+const GALLERY_PAGE_SIZE = 24; // photos per page of the gallery modal
+
+// Gallery sort orders; 'order' keeps the photos as passed in (the selected
+// image order). compare gets the gallery's objects for 'coverage'
+const GALLERY_SORTS = {
+    'order': { label: 'Default order', compare: null },
+    'year': {
+        label: 'Year',
+        compare: (a, b) => (a.year === null) - (b.year === null) || a.year - b.year
+    },
+    'artist': {
+        label: 'Artist',
+        compare: (a, b) => !a.artist - !b.artist || (a.artist || '').localeCompare(b.artist || '') || (a.year || 0) - (b.year || 0)
+    },
+    'coverage': {
+        label: 'Coverage',
+        compare: (a, b, objects) => getPhotoCoverage(b, objects) - getPhotoCoverage(a, objects)
+    }
+};
+
+// One page of image cards, sized by how many photos are on the page.
+// galleryIds are all the gallery's results, for stepping through in the photo detail
+function drawGalleryCards(grid, imageIds, delay, galleryIds) {
     // Calculate optimal image sizing - much larger to take up most of screen
     const imageCount = imageIds.length;
     let maxWidth, flexBasis;
@@ -708,6 +1229,9 @@ function showCategoryModal(categoryName, imageIds, year, clickX, clickY) {
         
         const imageCard = grid.append('div')
             .attr('class', 'image-card') // Add class for click detection
+            .attr('tabindex', 0)
+            .attr('role', 'button')
+            .attr('aria-label', describePhoto(imageId))
             .style('background', 'rgba(255,255,255,0.05)')
             .style('border-radius', '8px')
             .style('overflow', 'visible')
@@ -723,7 +1247,12 @@ function showCategoryModal(categoryName, imageIds, year, clickX, clickY) {
             .style('justify-content', 'center')
             .on('click', function(event) {
                 event.stopPropagation();
-                showPhotoDetail(imageId);
+                showPhotoDetail(imageId, galleryIds);
+            })
+            .on('keydown', function(event) {
+                if (event.key !== 'Enter' && event.key !== ' ') return;
+                event.preventDefault();
+                showPhotoDetail(imageId, galleryIds);
             })
             .on('mouseover', function() {
                 d3.select(this)
@@ -739,7 +1268,7 @@ function showCategoryModal(categoryName, imageIds, year, clickX, clickY) {
         // Animate card entrance with stagger - faster loading
         d3.select(imageCard.node())
             .transition()
-            .delay(800 + index * 8) // Reduced delay for faster loading
+            .delay(delay + index * 8) // Reduced delay for faster loading
             .duration(300)
             .ease(d3.easeCubicOut)
             .style('opacity', '1')
@@ -747,7 +1276,8 @@ function showCategoryModal(categoryName, imageIds, year, clickX, clickY) {
         
         // Full image with original aspect ratio - large sizing to fill most of screen
         imageCard.append('img')
-            .attr('src', `images_met_resized/${imageId}.jpg`)
+            .attr('src', getPhotoUrl(imageId))
+            .attr('alt', '')
             .attr('loading', 'lazy') // Lazy load for better performance
             .style('width', '100%')
             .style('height', 'auto')
@@ -758,12 +1288,23 @@ function showCategoryModal(categoryName, imageIds, year, clickX, clickY) {
     });
 }
 
+// "Photograph by Carleton E. Watkins, 1872" for alt text and labels
+function describePhoto(imageId) {
+    const photo = getPhotoById(imageId);
+    if (!photo) return 'Photograph';
+    return `Photograph by ${photo.artist || 'an unknown artist'}${photo.year ? `, ${photo.year}` : ''}`;
+}
+
 function closeCategoryModal() {
-    const modal = d3.select('#category-modal');
+    const modal = d3.select('#category-modal:not(.closing)');
+    if (modal.empty()) return;
     const mainContent = d3.select('#main-content');
+    if (categoryModalOpener && document.contains(categoryModalOpener)) categoryModalOpener.focus();
+    categoryModalOpener = null;
     
     // Fade out modal
-    modal.transition()
+    modal.classed('closing', true)
+        .transition()
         .duration(500)
         .ease(d3.easeCubicIn)
         .style('opacity', '0')
@@ -782,10 +1323,16 @@ function closeCategoryModal() {
         .style('transform-origin', 'center center');
 }
 
-function showPhotoDetail(imageId) {
-    // Find photo data
-    const photo = photographData.find(p => p.object_id === imageId);
-    if (!photo) return;
+// Photos the open detail modal steps through: { ids, index, opener, show }
+let photoDetailGallery = null;
+
+// galleryIds is the list the photo was opened from (e.g. the gallery's
+// filtered and sorted results), for previous/next navigation
+function showPhotoDetail(imageId, galleryIds = [imageId]) {
+    if (!getPhotoById(imageId)) return;
+    const ids = galleryIds.includes(imageId) ? galleryIds : [imageId];
+    // Focus goes back to what opened the modal when it closes
+    const opener = photoDetailGallery ? photoDetailGallery.opener : document.activeElement;
     
     // Remove existing detail modal
     d3.select('#photo-detail-modal').remove();
@@ -794,6 +1341,9 @@ function showPhotoDetail(imageId) {
     const detailModal = d3.select('body')
         .append('div')
         .attr('id', 'photo-detail-modal')
+        .attr('role', 'dialog')
+        .attr('aria-modal', 'true')
+        .attr('aria-label', 'Photograph details')
         .style('position', 'fixed')
         .style('top', '0')
         .style('left', '0')
@@ -849,6 +1399,64 @@ function showPhotoDetail(imageId) {
         .style('transform', 'scale(1)')
         .style('opacity', '1');
     
+    // Close, previous and next buttons sit on the background, outside the container
+    const closeButton = detailModal.append('button')
+        .attr('class', 'modal-close-btn photo-detail-close')
+        .attr('aria-label', 'Close photo')
+        .text('×')
+        .on('click', closePhotoDetail);
+    const navButton = (className, label, text, step) => detailModal.append('button')
+        .attr('class', `photo-nav-btn ${className}`)
+        .attr('aria-label', label)
+        .text(text)
+        .on('click', () => stepPhotoDetail(step));
+    const previousButton = navButton('photo-nav-previous', 'Previous photo', '‹', -1);
+    const nextButton = navButton('photo-nav-next', 'Next photo', '›', 1);
+    const position = detailModal.append('div')
+        .attr('class', 'photo-nav-position')
+        .attr('aria-live', 'polite');
+    
+    photoDetailGallery = {
+        ids: ids,
+        index: ids.indexOf(imageId),
+        opener: opener,
+        show: index => {
+            photoDetailGallery.index = index;
+            container.selectAll('*').remove();
+            renderPhotoDetail(container, getPhotoById(ids[index]));
+            previousButton.attr('disabled', index === 0 ? true : null);
+            nextButton.attr('disabled', index === ids.length - 1 ? true : null);
+            position.text(`${index + 1} of ${ids.length}`);
+        }
+    };
+    [previousButton, nextButton, position].forEach(element => element.style('display', ids.length > 1 ? null : 'none'));
+    photoDetailGallery.show(photoDetailGallery.index);
+    
+    // Horizontal swipes step through the gallery
+    let touchStart = null;
+    detailModalElement.addEventListener('touchstart', event => {
+        touchStart = event.changedTouches[0];
+    }, { passive: true });
+    detailModalElement.addEventListener('touchend', event => {
+        if (!touchStart) return;
+        const dx = event.changedTouches[0].clientX - touchStart.clientX;
+        const dy = event.changedTouches[0].clientY - touchStart.clientY;
+        touchStart = null;
+        if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) stepPhotoDetail(dx < 0 ? 1 : -1);
+    });
+    
+    closeButton.node().focus();
+}
+
+function stepPhotoDetail(step) {
+    if (!photoDetailGallery) return;
+    const index = photoDetailGallery.index + step;
+    if (index < 0 || index >= photoDetailGallery.ids.length) return;
+    photoDetailGallery.show(index);
+}
+
+// Image and details of one photo, drawn into the detail modal's container
+function renderPhotoDetail(container, photo) {
     // Image side
     const imageContainer = container.append('div')
         .style('flex', '1')
@@ -858,7 +1466,8 @@ function showPhotoDetail(imageId) {
     
     // Add image with zoom animation
     const detailImage = imageContainer.append('img')
-        .attr('src', `images_met_resized/${imageId}.jpg`)
+        .attr('src', getPhotoUrl(photo.id))
+        .attr('alt', describePhoto(photo.id))
         .style('max-width', '100%')
         .style('max-height', '600px')
         .style('object-fit', 'contain')
@@ -880,8 +1489,6 @@ function showPhotoDetail(imageId) {
         .style('flex', '0 0 350px')
         .style('color', 'white');
     
-    // X button removed - click on background to close
-    
     infoContainer.append('h3')
         .style('margin', '0 0 20px 0')
         .style('font-size', '20px')
@@ -903,11 +1510,11 @@ function showPhotoDetail(imageId) {
             .text(value || 'Unknown');
     };
     
-    infoItem('Artist', photo.artist_name);
+    infoItem('Artist', photo.artist);
     infoItem('Nationality', photo.origin);
-    infoItem('Creation Year', photo.creation_year);
-    infoItem('Work Type', photo.work_type);
-    infoItem('Works in Museum', photo.works_in_museum);
+    infoItem('Creation Year', photo.year);
+    infoItem('Work Type', photo.workType);
+    infoItem('Works in Museum', photo.worksInMuseum);
     
     // Detected objects section
     infoContainer.append('h4')
@@ -916,32 +1523,41 @@ function showPhotoDetail(imageId) {
         .style('color', 'rgba(255,255,255,0.8)')
         .text('Detected Objects');
     
+    if (getCoverageThreshold() > 0) {
+        infoContainer.append('div')
+            .style('font-size', '12px')
+            .style('color', 'rgba(255,255,255,0.6)')
+            .style('margin-bottom', '10px')
+            .text(`Objects covering at least ${getCoverageThreshold()}% of the frame`);
+    }
+    
     const objectsList = infoContainer.append('div')
         .style('display', 'flex')
         .style('flex-wrap', 'wrap')
         .style('gap', '8px');
     
-    const allObjects = ['person', 'building', 'tree', 'water', 'mountain', 'grass', 'animal', 
-                        'house', 'road', 'boat', 'rock', 'sidewalk', 'fence', 'sea', 'river', 
-                        'plant', 'curtain', 'windowpane', 'chair', 'field', 'table', 'hovel', 
-                        'tent', 'bridge', 'bench', 'pier', 'column'];
-    
-    allObjects.forEach(obj => {
-        const hasField = `has_${obj}`;
-        if (photo[hasField] === '1.0') {
+    getObjectKeys().forEach(obj => {
+        if (photo.has[obj]) {
             objectsList.append('span')
                 .style('background', 'rgba(255,255,255,0.15)')
+                .style('border-left', `4px solid ${getObjectColor(obj)}`)
                 .style('padding', '6px 12px')
                 .style('border-radius', '4px')
                 .style('font-size', '13px')
-                .text(obj.charAt(0).toUpperCase() + obj.slice(1));
+                .text(`${getObjectLabel(obj)} (${photo.coverage[obj].toFixed(1)}%)`);
         }
     });
 }
 
 function closePhotoDetail() {
-    const modal = d3.select('#photo-detail-modal');
-    modal.transition()
+    const modal = d3.select('#photo-detail-modal:not(.closing)');
+    if (modal.empty()) return;
+    const opener = photoDetailGallery && photoDetailGallery.opener;
+    photoDetailGallery = null;
+    if (opener && document.contains(opener)) opener.focus();
+    
+    modal.classed('closing', true)
+        .transition()
         .duration(300)
         .ease(d3.easeCubicIn)
         .style('opacity', '0')
@@ -950,169 +1566,198 @@ function closePhotoDetail() {
         });
 }
 
-function createSubjectTimeline(svg, width, height) {
-    const margin = { top: 60, right: 120, bottom: 60, left: 60 };
-    const innerWidth = width - margin.left - margin.right;
-    const innerHeight = height - margin.top - margin.bottom;
+// ===== MODAL KEYBOARD =====
+// Escape closes the topmost modal (photo detail, then gallery), the arrow keys
+// step through the photo detail's gallery and Tab keeps focus inside the
+// topmost modal
+function handleModalKeydown(event) {
+    const detail = document.querySelector('#photo-detail-modal:not(.closing)');
+    const modal = detail || document.querySelector('#category-modal:not(.closing)');
+    if (!modal) return;
+    
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        if (detail) closePhotoDetail();
+        else closeCategoryModal();
+    } else if (detail && (event.key === 'ArrowLeft' || event.key === 'ArrowRight')) {
+        event.preventDefault();
+        stepPhotoDetail(event.key === 'ArrowLeft' ? -1 : 1);
+    } else if (event.key === 'Tab') {
+        trapFocus(modal, event);
+    }
+}
+
+function trapFocus(modal, event) {
+    const focusable = [...modal.querySelectorAll('button:not([disabled]), select, input, [tabindex="0"]')]
+        .filter(element => element.getClientRects().length > 0);
+    if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (event.shiftKey && (active === first || !modal.contains(active))) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (active === last || !modal.contains(active))) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+document.addEventListener('keydown', handleModalKeydown);
+
+// ===== VISUALIZATION 2: CO-OCCURRENCE NETWORK =====
+function initVisualization2() {
+    const container = d3.select('#cooccurrence-network');
+    const width = 900;
+    const height = 500;
     
-    const g = svg.append('g')
-        .attr('transform', `translate(${margin.left},${margin.top})`);
+    // Clear any existing content
+    container.selectAll('*').remove();
     
-    // Process data: aggregate by decade
-    const subjectCategories = ['person', 'building', 'tree', 'water'];
-    const decades = d3.groups(photographData, d => Math.floor(+d.creation_year / 10) * 10)
-        .filter(([decade]) => decade >= 1840 && decade <= 2020)
-        .sort((a, b) => a[0] - b[0]);
+    // Set up SVG
+    container
+        .attr('width', width)
+        .attr('height', height)
+        .attr('viewBox', `0 0 ${width} ${height}`)
+        .style('background', 'white');
+    
+    // Setup toggle button
+    const toggleBtn = document.getElementById('toggle-detail');
+    const toggleText = document.getElementById('toggle-text');
     
-    const timelineData = decades.map(([decade, photos]) => {
-        const counts = {
-            decade: decade,
-            total: photos.length
+    if (toggleBtn && toggleText) {
+        toggleBtn.onclick = function() {
+            showAllObjects = !showAllObjects;
+            toggleText.textContent = showAllObjects ? 'Show Top 10 Only' : 'Show All Objects';
+            
+            // Redraw the visualization
+            container.selectAll('*').remove();
+            if (photographData.length > 0) {
+                createCooccurrenceNetwork(container, width, height);
+            }
         };
+    }
+    
+    // Period slider: position 0 is all years, then one position per time bin
+    // (rebuilt when the binning changes)
+    const periodSlider = document.getElementById('network-period');
+    const periodLabel = document.getElementById('network-period-label');
+    if (periodSlider && periodLabel) {
+        const bins = getTimeBins();
+        if (networkPeriod !== 'all' && !bins.some(bin => bin.start === +networkPeriod)) networkPeriod = 'all';
         
-        subjectCategories.forEach(subject => {
-            const hasField = `has_${subject}`;
-            counts[subject] = photos.filter(p => p[hasField] === '1.0').length / photos.length * 100;
-        });
-        
-        return counts;
-    });
-    
-    // Scales
-    const xScale = d3.scaleLinear()
-        .domain(d3.extent(timelineData, d => d.decade))
-        .range([0, innerWidth]);
-    
-    const yScale = d3.scaleLinear()
-        .domain([0, 100])
-        .range([innerHeight, 0]);
-    
-    const colorScale = d3.scaleOrdinal()
-        .domain(subjectCategories)
-        .range(['#a89078', '#c4a882', '#8a857f', '#6b6560']);
-    
-    // Axes
-    const xAxis = d3.axisBottom(xScale).tickFormat(d => d);
-    const yAxis = d3.axisLeft(yScale).ticks(5).tickFormat(d => d + '%');
-    
-    g.append('g')
-        .attr('transform', `translate(0,${innerHeight})`)
-        .call(xAxis)
-        .style('font-size', '12px');
-    
-    g.append('g')
-        .call(yAxis)
-        .style('font-size', '12px');
-    
-    // Line generator
-    const line = d3.line()
-        .x(d => xScale(d.decade))
-        .y(d => d.value)
-        .curve(d3.curveMonotoneX);
+        const showPeriod = () => {
+            periodLabel.textContent = getNetworkPeriod().label;
+        };
+        periodSlider.min = 0;
+        periodSlider.max = bins.length;
+        periodSlider.value = networkPeriod === 'all' ? 0 : bins.findIndex(bin => bin.start === +networkPeriod) + 1;
+        showPeriod();
+        periodSlider.oninput = function() {
+            networkPeriod = +this.value === 0 ? 'all' : bins[+this.value - 1].start;
+            showPeriod();
+            if (redrawNetworkPeriod) redrawNetworkPeriod();
+        };
+    }
     
-    // Draw lines for each subject
-    subjectCategories.forEach(subject => {
-        const lineData = timelineData.map(d => ({
-            decade: d.decade,
-            value: yScale(d[subject])
-        }));
-        
-        g.append('path')
-            .datum(lineData)
-            .attr('fill', 'none')
-            .attr('stroke', colorScale(subject))
-            .attr('stroke-width', 2.5)
-            .attr('d', line)
-            .style('opacity', 0.8);
-        
-        // Add dots
-        g.selectAll(`.dot-${subject}`)
-            .data(timelineData)
-            .enter()
-            .append('circle')
-            .attr('class', `dot-${subject}`)
-            .attr('cx', d => xScale(d.decade))
-            .attr('cy', d => yScale(d[subject]))
-            .attr('r', 4)
-            .attr('fill', colorScale(subject))
-            .style('opacity', 0.9);
+    if (photographData.length > 0) {
+        createCooccurrenceNetwork(container, width, height);
+    }
+}
+
+// Object frequencies and pairwise co-occurrence counts across a set of photos
+function getCooccurrenceCounts(photos) {
+    const objects = getObjectKeys();
+    const frequencies = {};
+    const cooccurrence = {};
+    objects.forEach(obj1 => {
+        frequencies[obj1] = 0;
+        cooccurrence[obj1] = {};
+        objects.forEach(obj2 => {
+            if (obj1 !== obj2) cooccurrence[obj1][obj2] = 0;
+        });
     });
-    
-    // Legend
-    const legend = g.append('g')
-        .attr('transform', `translate(${innerWidth + 10}, 0)`);
-    
-    subjectCategories.forEach((subject, i) => {
-        const legendRow = legend.append('g')
-            .attr('transform', `translate(0, ${i * 25})`);
-        
-        legendRow.append('rect')
-            .attr('width', 15)
-            .attr('height', 15)
-            .attr('fill', colorScale(subject));
-        
-        legendRow.append('text')
-            .attr('x', 20)
-            .attr('y', 12)
-            .style('font-size', '12px')
-            .text(subject.charAt(0).toUpperCase() + subject.slice(1));
+    photos.forEach(p => {
+        const present = objects.filter(obj => p.has[obj]);
+        present.forEach(obj1 => {
+            frequencies[obj1]++;
+            present.forEach(obj2 => {
+                if (obj1 !== obj2) cooccurrence[obj1][obj2]++;
+            });
+        });
     });
-    
-    // Axis labels
-    g.append('text')
-        .attr('x', innerWidth / 2)
-        .attr('y', innerHeight + 45)
-        .attr('text-anchor', 'middle')
-        .style('font-size', '14px')
-        .text('Year');
-    
-    g.append('text')
-        .attr('transform', 'rotate(-90)')
-        .attr('x', -innerHeight / 2)
-        .attr('y', -45)
-        .attr('text-anchor', 'middle')
-        .style('font-size', '14px')
-        .text('Percentage of Photos');
+    return { photos: photos, frequencies: frequencies, cooccurrence: cooccurrence };
 }
 
-// ===== VISUALIZATION 2: CO-OCCURRENCE NETWORK =====
-function initVisualization2() {
-    const container = d3.select('#cooccurrence-network');
-    const width = 900;
-    const height = 500;
-    
-    // Clear any existing content
-    container.selectAll('*').remove();
-    
-    // Set up SVG
-    container
-        .attr('width', width)
-        .attr('height', height)
-        .attr('viewBox', `0 0 ${width} ${height}`)
-        .style('background', 'white');
-    
-    // Setup toggle button
-    const toggleBtn = document.getElementById('toggle-detail');
-    const toggleText = document.getElementById('toggle-text');
+// Links between the given nodes whose association (see ASSOCIATION_METRICS)
+// reaches the threshold; P(B | A) gives one directed link per direction.
+// Every pair of nodes is tested against chance, correcting for the number of
+// pairs tested; both directions of a pair share one test
+function getNetworkLinks(nodes, { photos, frequencies, cooccurrence }) {
+    const metric = ASSOCIATION_METRICS[linkMetric];
+    const threshold = getLinkThreshold();
+    const pairCounts = (id1, id2) => ({
+        n: photos.length,
+        a: frequencies[id1],
+        b: frequencies[id2],
+        ab: cooccurrence[id1][id2]
+    });
     
-    if (toggleBtn && toggleText) {
-        toggleBtn.onclick = function() {
-            showAllObjects = !showAllObjects;
-            toggleText.textContent = showAllObjects ? 'Show Top 10 Only' : 'Show All Objects';
-            
-            // Redraw the visualization
-            container.selectAll('*').remove();
-            if (photographData.length > 0) {
-                createCooccurrenceNetwork(container, width, height);
-            }
-        };
-    }
+    const pairKey = (id1, id2) => id1 < id2 ? `${id1}|${id2}` : `${id2}|${id1}`;
+    const pairTests = new Map();
+    nodes.forEach(node1 => {
+        nodes.forEach(node2 => {
+            if (node1.id < node2.id) pairTests.set(pairKey(node1.id, node2.id), fisherExactTest(pairCounts(node1.id, node2.id)));
+        });
+    });
+    const tests = [...pairTests.values()];
+    adjustPValues(tests.map(t => t.p), pValueCorrection).forEach((adjusted, i) => {
+        tests[i].adjusted = adjusted;
+        tests[i].significant = adjusted < SIGNIFICANCE_LEVEL;
+    });
     
-    if (photographData.length > 0) {
-        createCooccurrenceNetwork(container, width, height);
-    }
+    const links = [];
+    nodes.forEach(node1 => {
+        nodes.forEach(node2 => {
+            if (node1.id === node2.id || (!metric.directed && node1.id > node2.id)) return; // Avoid duplicates
+            const counts = pairCounts(node1.id, node2.id);
+            const test = pairTests.get(pairKey(node1.id, node2.id));
+            const strength = getAssociation(counts, linkMetric);
+            if (counts.ab === 0 || strength === null || strength < threshold) return;
+            if (significantLinksOnly && !test.significant) return;
+            links.push({
+                key: `${node1.id}-${node2.id}`,
+                source: node1.id,
+                target: node2.id,
+                value: counts.ab,
+                counts: counts,
+                test: test,
+                // Co-occurring less often than if independent
+                negative: counts.ab < test.expected,
+                strength: strength,
+                // Raw counts follow the global weight mode; other metrics are drawn as they are
+                weight: linkMetric !== 'count' ? strength : weightMode === 'count' ? counts.ab :
+                    getPairWeight(photos, node1.id, node2.id, weightMode)
+            });
+        });
+    });
+    return links;
 }
 
+// Photos and label of the network's selected time bin
+function getNetworkPeriod() {
+    const bin = networkPeriod === 'all' ? null : getBinForYear(+networkPeriod);
+    return {
+        photos: bin ? getPhotosInBin(bin) : photographData,
+        label: bin ? (bin.label === bin.range ? bin.range : `${bin.label}, ${bin.range}`) : 'All Years'
+    };
+}
+
+// The layout (node positions) comes from all years; changing the period only
+// re-weights nodes and links (see redrawNetworkPeriod), so nodes stay in place
 function createCooccurrenceNetwork(svg, width, height) {
     const margin = { top: 40, right: 40, bottom: 40, left: 40 };
     const innerWidth = width - margin.left - margin.right;
@@ -1121,227 +1766,92 @@ function createCooccurrenceNetwork(svg, width, height) {
     const g = svg.append('g')
         .attr('transform', `translate(${margin.left},${margin.top})`);
     
-    // Define ALL object categories from the dataset
-    const objects = ['person', 'building', 'tree', 'water', 'mountain', 'grass', 'animal', 'house', 
-                     'road', 'boat', 'rock', 'sidewalk', 'fence', 'sea', 'column', 'river', 'plant',
-                     'curtain', 'windowpane', 'chair', 'field', 'table', 'hovel', 'tent', 'bridge', 'bench', 'pier'];
-    
-    // Calculate frequency for each object
-    const frequencies = {};
-    objects.forEach(obj => {
-        const hasField = `has_${obj}`;
-        frequencies[obj] = photographData.filter(p => p[hasField] === '1.0').length;
-    });
-    
-    // Calculate co-occurrence matrix
-    const cooccurrence = {};
-    objects.forEach(obj1 => {
-        cooccurrence[obj1] = {};
-        objects.forEach(obj2 => {
-            if (obj1 !== obj2) {
-                const hasField1 = `has_${obj1}`;
-                const hasField2 = `has_${obj2}`;
-                // Count photos that have both objects
-                const count = photographData.filter(p => 
-                    p[hasField1] === '1.0' && p[hasField2] === '1.0'
-                ).length;
-                cooccurrence[obj1][obj2] = count;
-            }
-        });
-    });
+    // ALL object categories, in registry order
+    const objects = getObjectKeys();
+    const allYears = getCooccurrenceCounts(photographData);
     
     // Create all nodes (only include objects with frequency > 0)
     let allNodes = objects
-        .filter(obj => frequencies[obj] > 0)
+        .filter(obj => allYears.frequencies[obj] > 0)
         .map(obj => ({
             id: obj,
-            frequency: frequencies[obj],
-            label: obj.charAt(0).toUpperCase() + obj.slice(1)
+            layoutWeight: getObjectWeight(photographData, obj, weightMode),
+            label: getObjectLabel(obj)
         }));
     
     // Filter to top 10 if needed
     let nodes = allNodes;
     if (!showAllObjects) {
         nodes = allNodes
-            .sort((a, b) => b.frequency - a.frequency)
+            .sort((a, b) => b.layoutWeight - a.layoutWeight)
             .slice(0, 10);
     }
+    const nodeById = new Map(nodes.map(n => [n.id, n]));
     
-    // Create set of node IDs for quick lookup
-    const nodeIds = new Set(nodes.map(n => n.id));
-    
-    // Create links (only include pairs with co-occurrence > threshold and both nodes present)
-    const links = [];
-    const minCooccurrence = 5; // Minimum co-occurrence to show a link
-    
-    nodes.forEach(node1 => {
-        nodes.forEach(node2 => {
-            if (node1.id < node2.id) { // Avoid duplicates
-                const cooccurCount = cooccurrence[node1.id][node2.id];
-                if (cooccurCount >= minCooccurrence) {
-                    links.push({
-                        source: node1.id,
-                        target: node2.id,
-                        value: cooccurCount
-                    });
-                }
-            }
-        });
-    });
-    
-    // Color-blind safe palette based on research (Okabe & Ito + Tol)
-    // These colors are maximally distinct and safe for deuteranopia, protanopia, and tritanopia
-    const colorBlindSafePalette = [
-        '#E69F00',  // orange
-        '#56B4E9',  // sky blue
-        '#009E73',  // bluish green
-        '#F0E442',  // yellow
-        '#0072B2',  // blue
-        '#D55E00',  // vermillion
-        '#CC79A7',  // reddish purple
-        '#000000',  // black
-        '#882255',  // wine
-        '#44AA99',  // teal
-        '#117733',  // green
-        '#999933',  // olive
-        '#DDCC77',  // sand
-        '#CC6677',  // rose
-        '#AA4499',  // purple
-        '#88CCEE',  // cyan
-        '#661100',  // brown
-        '#332288',  // indigo
-        '#AA4466',  // mauve
-        '#6699CC',  // light blue
-        '#997700',  // dark yellow
-        '#EE8866',  // peach
-        '#EEDD88',  // pale yellow
-        '#FFAABB',  // pink
-        '#99DDFF',  // pale cyan
-        '#44BB99',  // aqua
-        '#EECC66'   // gold
-    ];
-    
-    // Color scale using color-blind safe palette
-    const colorScale = d3.scaleOrdinal()
-        .domain(objects)
-        .range(colorBlindSafePalette);
-    
-    // Radius scale based on frequency
-    const radiusScale = d3.scaleSqrt()
-        .domain([0, d3.max(nodes, d => d.frequency)])
+    // Layout radius based on frequency over all years (or area covered, depending on weight mode)
+    const layoutRadius = d3.scaleSqrt()
+        .domain([0, d3.max(nodes, d => d.layoutWeight)])
         .range([15, 50]);
     
-    // Line width scale based on co-occurrence (wider range for better distinction)
-    const lineWidthScale = d3.scaleLinear()
-        .domain([0, d3.max(links, d => d.value)])
-        .range([0.5, 15]);
-    
-    // Create force simulation
-    const simulation = d3.forceSimulation(nodes)
-        .force('link', d3.forceLink(links).id(d => d.id).distance(120))
+    // Create force simulation on the all-years links; the previous network's
+    // simulation would keep ticking on its removed nodes
+    if (networkSimulation) networkSimulation.stop();
+    const layoutLinks = getNetworkLinks(nodes, allYears).map(d => ({ source: d.source, target: d.target }));
+    const simulation = networkSimulation = d3.forceSimulation(nodes)
+        .force('link', d3.forceLink(layoutLinks).id(d => d.id).distance(120))
         .force('charge', d3.forceManyBody().strength(-500))
         .force('center', d3.forceCenter(innerWidth / 2, innerHeight / 2))
-        .force('collision', d3.forceCollide().radius(d => radiusScale(d.frequency) + 5));
+        .force('collision', d3.forceCollide().radius(d => layoutRadius(d.layoutWeight) + 5));
     
-    // Create gradients for links (one for each link)
-    // Store the source/target IDs before D3 converts them to object references
+    // One gradient (and arrow marker for directed links) per link, keyed like the links
     const defs = svg.append('defs');
-    
-    links.forEach((link, i) => {
-        const sourceId = typeof link.source === 'string' ? link.source : link.source.id;
-        const targetId = typeof link.target === 'string' ? link.target : link.target.id;
-        
-        const gradient = defs.append('linearGradient')
-            .attr('id', `gradient-${i}`)
-            .attr('gradientUnits', 'userSpaceOnUse');
-        
-        gradient.append('stop')
-            .attr('offset', '0%')
-            .attr('stop-color', colorScale(sourceId));
-        
-        gradient.append('stop')
-            .attr('offset', '100%')
-            .attr('stop-color', colorScale(targetId));
-    });
-    
-    // Create links with gradients
+    const themeGroup = g.append('g').attr('class', 'themes');
     const linkGroup = g.append('g').attr('class', 'links');
-    
-    // Create visible thin lines
-    const link = linkGroup.selectAll('line.visible-link')
-        .data(links)
-        .enter()
-        .append('line')
-        .attr('class', 'visible-link')
-        .attr('stroke', (d, i) => `url(#gradient-${i})`)
-        .attr('stroke-opacity', 0.6)
-        .attr('stroke-width', d => lineWidthScale(d.value))
-        .style('pointer-events', 'none'); // No pointer events on visible line
-    
-    // Create invisible wider hit areas for easier clicking
-    const hitArea = linkGroup.selectAll('line.hit-area')
-        .data(links)
-        .enter()
-        .append('line')
-        .attr('class', 'hit-area')
-        .attr('stroke', 'transparent')
-        .attr('stroke-width', d => Math.max(lineWidthScale(d.value) * 3, 15)) // At least 15px hit area
-        .style('cursor', 'pointer')
-        .on('mouseover', function(event, d) {
-            // Find corresponding visible link and highlight it
-            const index = links.indexOf(d);
-            d3.select(linkGroup.selectAll('line.visible-link').nodes()[index])
-                .attr('stroke-opacity', 1)
-                .attr('stroke-width', lineWidthScale(d.value) * 1.5);
-            
-            // Show tooltip
-            showLinkTooltip(event, d);
-        })
-        .on('mouseout', function(event, d) {
-            // Reset visible link
-            const index = links.indexOf(d);
-            d3.select(linkGroup.selectAll('line.visible-link').nodes()[index])
-                .attr('stroke-opacity', 0.6)
-                .attr('stroke-width', lineWidthScale(d.value));
-            
-            // Hide tooltip
-            hideLinkTooltip();
-        })
-        .on('click', function(event, d) {
-            event.stopPropagation();
-            // Get photos with both objects
-            const sourceId = d.source.id;
-            const targetId = d.target.id;
-            const imageIds = getCooccurrenceImages(sourceId, targetId);
-            
-            if (imageIds.length > 0) {
-                // Get click position for zoom effect
-                const rect = this.getBoundingClientRect();
-                const clickX = rect.left + (rect.right - rect.left) / 2;
-                const clickY = rect.top + (rect.bottom - rect.top) / 2;
-                
-                // Show gallery with zoom effect
-                const label1 = sourceId.charAt(0).toUpperCase() + sourceId.slice(1);
-                const label2 = targetId.charAt(0).toUpperCase() + targetId.slice(1);
-                showCategoryModal(`${label1} + ${label2}`, imageIds, 'All Years', clickX, clickY);
-            }
-        });
-    
-    // Create nodes
-    const node = g.append('g')
-        .selectAll('g')
+    const nodeGroup = g.append('g').attr('class', 'nodes');
+    
+    // State of the selected period (set by update)
+    let metric = ASSOCIATION_METRICS[linkMetric];
+    let links = [];
+    let themes = [];
+    let modularity = 0;
+    let period = null;
+    let periodCounts = null;
+    let radiusScale = null;
+    let lineWidthScale = null;
+    let link = linkGroup.selectAll('line.visible-link');
+    let hitArea = linkGroup.selectAll('line.hit-area');
+    
+    // Objects absent from the period shrink to a faded dot
+    const nodeRadius = d => d.weight > 0 ? radiusScale(d.weight) : 6;
+    
+    // A pinned object that isn't shown (e.g. outside the top 10) is dropped
+    if (!nodeById.has(networkFocus)) networkFocus = null;
+    
+    // Create nodes; hovering shows an object's ego network, clicking pins it
+    const node = nodeGroup.selectAll('g')
         .data(nodes)
         .enter()
         .append('g')
+        .on('mouseenter', (event, d) => highlightEgo(d.id))
+        .on('mouseleave', () => highlightEgo(networkFocus))
+        .on('click', (event, d) => {
+            event.stopPropagation();
+            // The click that ends a drag only moves the node
+            if (event.defaultPrevented || dragMoved) return;
+            pinEgo(networkFocus === d.id ? null : d.id);
+        })
         .call(d3.drag()
             .on('start', dragstarted)
             .on('drag', dragged)
             .on('end', dragended));
     
+    // Clicking the background unpins
+    svg.on('click', () => pinEgo(null));
+    
     // Add circles
     node.append('circle')
-        .attr('r', d => radiusScale(d.frequency))
-        .attr('fill', d => colorScale(d.id))
+        .attr('r', 0)
+        .attr('fill', d => getObjectColor(d.id))
         .attr('stroke', '#fff')
         .attr('stroke-width', 2.5)
         .style('cursor', 'pointer');
@@ -1351,15 +1861,13 @@ function createCooccurrenceNetwork(svg, width, height) {
         .text(d => d.label)
         .attr('text-anchor', 'middle')
         .attr('dy', '.35em')
-        .style('font-size', d => Math.min(radiusScale(d.frequency) / 3, 14) + 'px')
         .style('font-weight', '600')
         .style('fill', '#fff')
         .style('pointer-events', 'none')
         .style('text-shadow', '0px 1px 3px rgba(0,0,0,0.3)');
     
     // Add tooltips for nodes
-    node.append('title')
-        .text(d => `${d.label}\nAppears in ${d.frequency} photos`);
+    node.append('title');
     
     // Create custom tooltip for links
     let linkTooltip = d3.select('body').select('#link-tooltip');
@@ -1381,10 +1889,29 @@ function createCooccurrenceNetwork(svg, width, height) {
     }
     
     function showLinkTooltip(event, d) {
-        const sourceLabel = d.source.id.charAt(0).toUpperCase() + d.source.id.slice(1);
-        const targetLabel = d.target.id.charAt(0).toUpperCase() + d.target.id.slice(1);
+        const sourceLabel = getObjectLabel(d.source.id);
+        const targetLabel = getObjectLabel(d.target.id);
+        // Every metric for the pair; the one drawn is highlighted
+        const { n, a, b, ab } = d.counts;
+        const metricRows = [
+            ['jaccard', 'Jaccard', d.counts],
+            ['pmi', 'PMI', d.counts],
+            ['npmi', 'NPMI', d.counts],
+            ['lift', 'Lift', d.counts],
+            ['conditional', `P(${targetLabel} | ${sourceLabel})`, d.counts],
+            ['conditional', `P(${sourceLabel} | ${targetLabel})`, { n: n, a: b, b: a, ab: ab }]
+        ].map(([key, label, counts], i) => {
+            const isDrawn = key === linkMetric && (key !== 'conditional' || i === 4);
+            const text = `${label}: ${formatAssociation(getAssociation(counts, key), key)}`;
+            return isDrawn ? `<span style="color:#FFD27F;">${text}</span>` : text;
+        }).join('<br/>');
+        const test = d.test;
+        const correction = pValueCorrection === 'none' ? '' : ` (adjusted ${formatPValue(test.adjusted)}, ${P_VALUE_CORRECTIONS[pValueCorrection].label})`;
+        const verdict = !test.significant ? 'Not significantly different from chance' :
+            d.negative ? 'Co-occur less often than chance' : 'Co-occur more often than chance';
+        const significance = `Expected by chance: ${test.expected.toFixed(1)} photos<br/>p = ${formatPValue(test.p)}${correction}<br/>${verdict}`;
         linkTooltip
-            .html(`<strong>${sourceLabel} + ${targetLabel}</strong><br/>Co-occur in ${d.value} photographs<br/><em style="font-size:11px; opacity:0.9; margin-top:4px; display:block;">Click to view photos</em>`)
+            .html(`<strong>${sourceLabel} ${metric.directed ? '→' : '+'} ${targetLabel}</strong> — ${period.label}<br/>Co-occur in ${d.value} photographs<br/>${weightMode === 'count' ? '' : `${WEIGHT_MODES[weightMode].label}: ${formatWeight(getPairWeight(period.photos, d.source.id, d.target.id, weightMode), weightMode)}<br/>`}<span style="font-weight:400;">${metricRows}<br/>${significance}</span><em style="font-size:11px; opacity:0.9; margin-top:4px; display:block;">Click to view photos</em>`)
             .style('left', (event.pageX + 15) + 'px')
             .style('top', (event.pageY + 15) + 'px')
             .style('display', 'block');
@@ -1394,39 +1921,442 @@ function createCooccurrenceNetwork(svg, width, height) {
         linkTooltip.style('display', 'none');
     }
     
-    // Update positions on simulation tick (also update gradient positions)
-    simulation.on('tick', () => {
-        // Update visible links
-        link
-            .attr('x1', d => d.source.x)
-            .attr('y1', d => d.source.y)
-            .attr('x2', d => d.target.x)
-            .attr('y2', d => d.target.y);
-        
-        // Update hit areas
-        hitArea
-            .attr('x1', d => d.source.x)
-            .attr('y1', d => d.source.y)
-            .attr('x2', d => d.target.x)
-            .attr('y2', d => d.target.y);
+    // Directed links are shifted sideways (so A → B and B → A don't overlap)
+    // and stop at the target's edge so the arrow shows
+    function positionLinks() {
+        links.forEach(linkData => {
+            const dx = linkData.target.x - linkData.source.x;
+            const dy = linkData.target.y - linkData.source.y;
+            const length = Math.hypot(dx, dy) || 1;
+            const shift = metric.directed ? 4 : 0;
+            const trim = metric.directed ? nodeRadius(linkData.target) + 2 : 0;
+            linkData.ends = {
+                x1: linkData.source.x - dy / length * shift,
+                y1: linkData.source.y + dx / length * shift,
+                x2: linkData.target.x - dx / length * trim - dy / length * shift,
+                y2: linkData.target.y - dy / length * trim + dx / length * shift
+            };
+        });
+        
+        // Update visible links and hit areas
+        [link, hitArea].forEach(lines => lines
+            .attr('x1', d => d.ends.x1)
+            .attr('y1', d => d.ends.y1)
+            .attr('x2', d => d.ends.x2)
+            .attr('y2', d => d.ends.y2));
         
         // Update gradient positions to match link positions
-        links.forEach((linkData, i) => {
-            defs.select(`#gradient-${i}`)
-                .attr('x1', linkData.source.x)
-                .attr('y1', linkData.source.y)
-                .attr('x2', linkData.target.x)
-                .attr('y2', linkData.target.y);
+        links.forEach(linkData => {
+            defs.select(`#gradient-${linkData.key}`)
+                .attr('x1', linkData.ends.x1)
+                .attr('y1', linkData.ends.y1)
+                .attr('x2', linkData.ends.x2)
+                .attr('y2', linkData.ends.y2);
+        });
+    }
+    
+    // Themes: communities of the period's positively associated links (both
+    // directions of a P(B | A) pair add up), named by their three most frequent
+    // members. Photos hold about two objects each, so a theme's photos are
+    // those with most of these core members rather than of all of them
+    function detectThemes() {
+        themes = [];
+        modularity = 0;
+        if (communityMethod === 'none') return;
+        
+        const pairWeights = new Map();
+        links.filter(l => !l.negative && l.weight > 0).forEach(l => {
+            const [source, target] = [l.source.id, l.target.id].sort();
+            const key = `${source}|${target}`;
+            const edge = pairWeights.get(key) || { source: source, target: target, weight: 0 };
+            edge.weight += l.weight;
+            pairWeights.set(key, edge);
+        });
+        const edges = [...pairWeights.values()];
+        const communities = detectCommunities(nodes.map(d => d.id), edges, communityMethod);
+        modularity = getModularity(communities, edges);
+        
+        themes = communities
+            .filter(members => members.length > 1)
+            .map((members, i) => {
+                const memberNodes = members.map(id => nodeById.get(id))
+                    .sort((a, b) => b.frequency - a.frequency);
+                const core = memberNodes.slice(0, 3);
+                const names = core.map(d => d.label).join(' · ');
+                return {
+                    index: i,
+                    members: memberNodes,
+                    core: core.map(d => d.id),
+                    name: memberNodes.length > 3 ? `${names} +${memberNodes.length - 3}` : names,
+                    color: THEME_COLORS[i % THEME_COLORS.length]
+                };
+            });
+    }
+    
+    // Rounded outline around a theme's circles
+    function themeOutline(theme) {
+        const points = [];
+        theme.members.forEach(d => {
+            const r = nodeRadius(d) + 12;
+            for (let k = 0; k < 12; k++) {
+                points.push([d.x + r * Math.cos(k * Math.PI / 6), d.y + r * Math.sin(k * Math.PI / 6)]);
+            }
         });
+        return d3.line().curve(d3.curveCatmullRomClosed)(d3.polygonHull(points));
+    }
+    
+    function positionThemes() {
+        themeGroup.selectAll('path.theme-hull').attr('d', themeOutline);
+        themeGroup.selectAll('text.theme-label')
+            .attr('x', d => d3.mean(d.members, m => m.x))
+            .attr('y', d => d3.min(d.members, m => m.y - nodeRadius(m)) - 18);
+    }
+    
+    function drawThemes(duration) {
+        themeGroup.selectAll('path.theme-hull')
+            .data(themes, d => d.index)
+            .join(enter => enter.append('path')
+                .attr('class', 'theme-hull')
+                .style('opacity', 0)
+                .on('mouseenter', (event, d) => highlightTheme(d))
+                .on('mouseleave', () => highlightEgo(networkFocus))
+                .on('click', function(event, d) {
+                    event.stopPropagation();
+                    showThemeGallery(d, this);
+                })
+                .call(hull => hull.append('title')))
+            .attr('fill', d => d.color)
+            .attr('stroke', d => d.color)
+            .call(hull => hull.select('title')
+                .text(d => `${d.members.map(m => m.label).join(', ')}\nClick to view photos with most of ${d.name}`))
+            .transition().duration(duration)
+            .style('opacity', 1);
+        
+        themeGroup.selectAll('text.theme-label')
+            .data(themes, d => d.index)
+            .join(enter => enter.append('text')
+                .attr('class', 'theme-label')
+                .attr('text-anchor', 'middle')
+                .on('click', function(event, d) {
+                    event.stopPropagation();
+                    showThemeGallery(d, this);
+                }))
+            .attr('fill', d => d.color)
+            .text(d => d.name);
+        
+        positionThemes();
+    }
+    
+    // Fade everything outside a theme
+    function highlightTheme(theme) {
+        node.classed('faded', d => !theme.members.includes(d));
+        link.classed('faded', l => !theme.members.includes(l.source) || !theme.members.includes(l.target));
+    }
+    
+    function showThemeGallery(theme, element) {
+        const imageIds = orderImageIds(getThemeImages(theme.core, period.photos), theme.core);
+        if (imageIds.length === 0) return;
+        const rect = element.getBoundingClientRect();
+        showCategoryModal(`Theme: ${theme.name}`, imageIds, period.label,
+            rect.left + rect.width / 2, rect.top + rect.height / 2, theme.core);
+    }
+    
+    // Re-weight nodes and links for the selected period; sizes and widths
+    // animate from the previous period, links fade in and out
+    function update(duration) {
+        period = getNetworkPeriod();
+        metric = ASSOCIATION_METRICS[linkMetric];
+        const counts = getCooccurrenceCounts(period.photos);
+        periodCounts = counts;
+        nodes.forEach(d => {
+            d.frequency = counts.frequencies[d.id];
+            d.weight = getObjectWeight(period.photos, d.id, weightMode);
+        });
+        
+        radiusScale = d3.scaleSqrt()
+            .domain([0, d3.max(nodes, d => d.weight) || 1])
+            .range([15, 50]);
+        
+        // Links point at the (stable) node objects
+        links = getNetworkLinks(nodes, counts);
+        links.forEach(d => {
+            d.source = nodeById.get(d.source);
+            d.target = nodeById.get(d.target);
+        });
+        
+        // Line width scale based on co-occurrence (wider range for better distinction)
+        lineWidthScale = d3.scaleLinear()
+            .domain([Math.min(0, d3.min(links, d => d.weight) || 0), d3.max(links, d => d.weight) || 1])
+            .range([0.5, 15]);
+        
+        defs.selectAll('linearGradient')
+            .data(links, d => d.key)
+            .join(enter => {
+                const gradient = enter.append('linearGradient')
+                    .attr('id', d => `gradient-${d.key}`)
+                    .attr('gradientUnits', 'userSpaceOnUse');
+                gradient.append('stop')
+                    .attr('offset', '0%')
+                    .attr('stop-color', d => getObjectColor(d.source.id));
+                gradient.append('stop')
+                    .attr('offset', '100%')
+                    .attr('stop-color', d => getObjectColor(d.target.id));
+                return gradient;
+            });
+        
+        // Directed links end in an arrow in the target's color (or the negative link color)
+        defs.selectAll('marker')
+            .data(metric.directed ? links : [], d => d.key)
+            .join(enter => enter.append('marker')
+                .attr('id', d => `arrow-${d.key}`)
+                .attr('viewBox', '0 -5 10 10')
+                .attr('refX', 10)
+                .attr('markerUnits', 'userSpaceOnUse')
+                .attr('markerWidth', 12)
+                .attr('markerHeight', 12)
+                .attr('orient', 'auto')
+                .call(marker => marker.append('path').attr('d', 'M0,-5L10,0L0,5')))
+            .select('path')
+            .attr('fill', d => d.negative ? NEGATIVE_LINK_COLOR : getObjectColor(d.target.id));
+        
+        // Create visible thin lines
+        link = linkGroup.selectAll('line.visible-link')
+            .data(links, d => d.key)
+            .join(
+                enter => enter.append('line')
+                    .attr('class', 'visible-link')
+                    .attr('stroke-width', 0)
+                    .style('pointer-events', 'none'), // No pointer events on visible line
+                update => update,
+                exit => exit.transition().duration(duration).attr('stroke-width', 0).remove()
+            )
+            .attr('stroke', d => d.negative ? NEGATIVE_LINK_COLOR : `url(#gradient-${d.key})`)
+            .attr('stroke-dasharray', d => d.negative ? '6 4' : null)
+            .attr('stroke-opacity', 0.6)
+            .attr('marker-end', d => metric.directed ? `url(#arrow-${d.key})` : null);
+        link.transition().duration(duration)
+            .attr('stroke-width', d => lineWidthScale(d.weight));
+        
+        // Create invisible wider hit areas for easier clicking
+        hitArea = linkGroup.selectAll('line.hit-area')
+            .data(links, d => d.key)
+            .join(enter => enter.append('line')
+                .attr('class', 'hit-area')
+                .attr('stroke', 'transparent')
+                .style('cursor', 'pointer')
+                .on('mouseover', function(event, d) {
+                    // Highlight the corresponding visible link
+                    link.filter(l => l === d)
+                        .attr('stroke-opacity', 1)
+                        .attr('stroke-width', lineWidthScale(d.weight) * 1.5);
+                    
+                    // Show tooltip
+                    showLinkTooltip(event, d);
+                })
+                .on('mouseout', function(event, d) {
+                    // Reset visible link
+                    link.filter(l => l === d)
+                        .attr('stroke-opacity', 0.6)
+                        .attr('stroke-width', lineWidthScale(d.weight));
+                    
+                    // Hide tooltip
+                    hideLinkTooltip();
+                })
+                .on('click', function(event, d) {
+                    event.stopPropagation();
+                    // Get photos of the period with both objects
+                    const sourceId = d.source.id;
+                    const targetId = d.target.id;
+                    const imageIds = orderImageIds(getCooccurrenceImages(sourceId, targetId, period.photos), [sourceId, targetId]);
+                    
+                    if (imageIds.length > 0) {
+                        // Get click position for zoom effect
+                        const rect = this.getBoundingClientRect();
+                        const clickX = rect.left + (rect.right - rect.left) / 2;
+                        const clickY = rect.top + (rect.bottom - rect.top) / 2;
+                        
+                        // Show gallery with zoom effect
+                        const label1 = getObjectLabel(sourceId);
+                        const label2 = getObjectLabel(targetId);
+                        showCategoryModal(`${label1} + ${label2}`, imageIds, period.label, clickX, clickY, [sourceId, targetId]);
+                    }
+                }))
+            .attr('stroke-width', d => Math.max(lineWidthScale(d.weight) * 3, 15)); // At least 15px hit area
+        
+        node.style('opacity', d => d.frequency > 0 ? 1 : 0.35);
+        node.select('circle').transition().duration(duration)
+            .attr('r', nodeRadius);
+        node.select('text')
+            .style('display', d => d.frequency > 0 ? null : 'none')
+            .transition().duration(duration)
+            .style('font-size', d => Math.min(nodeRadius(d) / 3, 14) + 'px');
+        node.select('title')
+            .text(d => `${d.label} — ${period.label}\nAppears in ${d.frequency} photos` +
+                (weightMode === 'count' ? '' : `\n${WEIGHT_MODES[weightMode].label}: ${formatWeight(d.weight, weightMode)}`));
         
+        detectThemes();
+        drawThemes(duration);
+        highlightEgo(networkFocus);
+        renderNetworkPanel();
+        
+        positionLinks();
+        // Arrows follow the target's edge while it resizes
+        if (metric.directed && duration > 0) {
+            const timer = d3.timer(elapsed => {
+                positionLinks();
+                if (elapsed > duration) timer.stop();
+            });
+        }
+        drawLegend();
+    }
+    
+    // Fade everything but an object, its neighbors and its links (null shows all)
+    function highlightEgo(id) {
+        const neighbors = new Set([id]);
+        links.forEach(l => {
+            if (l.source.id === id) neighbors.add(l.target.id);
+            if (l.target.id === id) neighbors.add(l.source.id);
+        });
+        node.classed('faded', d => id !== null && !neighbors.has(d.id))
+            .classed('pinned', d => d.id === networkFocus);
+        link.classed('faded', l => id !== null && l.source.id !== id && l.target.id !== id);
+    }
+    
+    function pinEgo(id) {
+        networkFocus = id;
+        highlightEgo(id);
+        renderNetworkPanel();
+        // Clicks on the network don't reach the document-level URL sync
+        writeUrlState();
+    }
+    
+    // Side panel: the pinned object's partners ranked by the link metric
+    // (for P(B | A), the share of the pinned object's photos with the partner)
+    function renderNetworkPanel() {
+        const panel = d3.select('#network-panel');
+        if (panel.empty()) return;
+        panel.selectAll('*').remove();
+        
+        if (networkFocus === null) {
+            panel.append('p')
+                .attr('class', 'network-panel-hint')
+                .text('Hover over an object to highlight its links; click it to list the objects it appears with most.');
+            renderThemeList(panel);
+            return;
+        }
+        
+        const focus = nodeById.get(networkFocus);
+        const { photos, frequencies, cooccurrence } = periodCounts;
+        const partners = nodes
+            .filter(d => d.id !== focus.id && cooccurrence[focus.id][d.id] > 0)
+            .map(d => {
+                const counts = { n: photos.length, a: frequencies[focus.id], b: frequencies[d.id], ab: cooccurrence[focus.id][d.id] };
+                return { id: d.id, label: d.label, count: counts.ab, value: getAssociation(counts, linkMetric) };
+            })
+            .filter(d => d.value !== null)
+            .sort((a, b) => b.value - a.value || b.count - a.count)
+            .slice(0, 10);
+        
+        const header = panel.append('div').attr('class', 'network-panel-header');
+        header.append('h4')
+            .style('border-left', `4px solid ${getObjectColor(focus.id)}`)
+            .text(focus.label);
+        header.append('button')
+            .attr('class', 'modal-close-btn')
+            .attr('aria-label', 'Unpin object')
+            .text('×')
+            .on('click', () => pinEgo(null));
+        panel.append('p')
+            .attr('class', 'network-panel-summary')
+            .text(`${period.label}: in ${focus.frequency} of ${photos.length} photos`);
+        
+        if (partners.length === 0) {
+            panel.append('p').attr('class', 'network-panel-hint').text('Appears with no other object in this period.');
+            return;
+        }
+        
+        panel.append('div')
+            .attr('class', 'network-panel-caption')
+            .text(`Top partners by ${metric.label}`);
+        panel.append('ol')
+            .attr('class', 'network-partners')
+            .selectAll('li')
+            .data(partners)
+            .join('li')
+            .append('button')
+            .attr('class', 'network-partner')
+            .attr('title', d => `View the ${d.count} photos with both`)
+            .on('click', function(event, d) {
+                const rect = this.getBoundingClientRect();
+                const imageIds = orderImageIds(getCooccurrenceImages(focus.id, d.id, photos), [focus.id, d.id]);
+                showCategoryModal(`${focus.label} + ${d.label}`, imageIds, period.label,
+                    rect.left + rect.width / 2, rect.top + rect.height / 2, [focus.id, d.id]);
+            })
+            .call(button => {
+                button.append('span')
+                    .attr('class', 'network-partner-swatch')
+                    .style('background', d => getObjectColor(d.id));
+                button.append('span')
+                    .attr('class', 'network-partner-label')
+                    .text(d => d.label);
+                button.append('span')
+                    .attr('class', 'network-partner-value')
+                    .text(d => linkMetric === 'count' ? d.count : `${formatAssociation(d.value, linkMetric)} · ${d.count}`);
+            });
+    }
+    
+    // Detected themes, each opening the photos with most of its members
+    function renderThemeList(panel) {
+        if (communityMethod === 'none') return;
+        panel.append('div')
+            .attr('class', 'network-panel-caption')
+            .text(`Themes (${COMMUNITY_METHODS[communityMethod].label}, Q = ${modularity.toFixed(2)})`);
+        if (themes.length === 0) {
+            panel.append('p').attr('class', 'network-panel-hint').text('No groups of linked objects in this period.');
+            return;
+        }
+        panel.append('ol')
+            .attr('class', 'network-partners')
+            .selectAll('li')
+            .data(themes)
+            .join('li')
+            .append('button')
+            .attr('class', 'network-partner')
+            .attr('title', d => d.members.map(m => m.label).join(', '))
+            .on('click', function(event, d) {
+                showThemeGallery(d, this);
+            })
+            .call(button => {
+                button.append('span')
+                    .attr('class', 'network-partner-swatch')
+                    .style('background', d => d.color);
+                button.append('span')
+                    .attr('class', 'network-partner-label')
+                    .text(d => d.name);
+                button.append('span')
+                    .attr('class', 'network-partner-value')
+                    .text(d => getThemeImages(d.core, period.photos).length);
+            });
+    }
+    
+    // Update positions on simulation tick (also update gradient positions)
+    simulation.on('tick', () => {
+        positionThemes();
+        positionLinks();
         node.attr('transform', d => `translate(${d.x},${d.y})`);
     });
     
-    // Drag functions
+    // Drag functions; a drag that moved the node more than a few pixels
+    // doesn't count as a click
+    let dragStart = null;
+    let dragMoved = false;
+    
     function dragstarted(event, d) {
         if (!event.active) simulation.alphaTarget(0.3).restart();
         d.fx = d.x;
         d.fy = d.y;
+        dragStart = [event.x, event.y];
+        dragMoved = false;
     }
     
     function dragged(event, d) {
@@ -1438,27 +2368,276 @@ function createCooccurrenceNetwork(svg, width, height) {
         if (!event.active) simulation.alphaTarget(0);
         d.fx = null;
         d.fy = null;
+        dragMoved = Math.hypot(event.x - dragStart[0], event.y - dragStart[1]) > 3;
     }
     
     // Add legend at bottom right
     const legend = g.append('g')
         .attr('transform', `translate(${innerWidth - 180}, ${innerHeight - 45})`);
     
-    legend.append('text')
-        .attr('x', 0)
-        .attr('y', 0)
+    function drawLegend() {
+        legend.selectAll('*').remove();
+        
+        legend.append('text')
+            .attr('x', 0)
+            .attr('y', 0)
+            .style('font-size', '13px')
+            .style('font-weight', '600')
+            .style('fill', '#666')
+            .text(weightMode === 'count' ? 'Circle size = Frequency' : `Circle size = ${WEIGHT_MODES[weightMode].label}`);
+        
+        legend.append('text')
+            .attr('x', 0)
+            .attr('y', 20)
+            .style('font-size', '13px')
+            .style('font-weight', '600')
+            .style('fill', '#666')
+            .text(`Line thickness = ${linkMetric === 'count' ? 'Co-occurrence' : metric.label}`);
+        
+        if (metric.directed) {
+            legend.append('text')
+                .attr('x', 0)
+                .attr('y', 40)
+                .style('font-size', '13px')
+                .style('font-weight', '600')
+                .style('fill', '#666')
+                .text('Arrow A → B = share of A with B');
+        }
+        
+        if (links.some(d => d.negative)) {
+            legend.append('text')
+                .attr('x', 0)
+                .attr('y', metric.directed ? 60 : 40)
+                .style('font-size', '13px')
+                .style('font-weight', '600')
+                .style('fill', NEGATIVE_LINK_COLOR)
+                .text('Dashed = rarer than chance');
+        }
+    }
+    
+    update(0);
+    redrawNetworkPeriod = () => update(600);
+}
+
+const NEGATIVE_LINK_COLOR = '#B2182B'; // Links of pairs that co-occur less often than chance
+const THEME_COLORS = d3.schemeSet2; // Outlines of detected themes, largest theme first
+
+// Minimum link strength in the current metric
+function getLinkThreshold() {
+    return linkThreshold === null ? ASSOCIATION_METRICS[linkMetric].threshold : linkThreshold;
+}
+
+// ===== VISUALIZATION 3: OBJECT FREQUENCY RANKING =====
+function initVisualization3() {
+    const svg = d3.select('#focus-shift');
+    const width = 1100;
+    const height = 720;
+    
+    svg.attr('width', width)
+        .attr('height', height)
+        .attr('viewBox', `0 0 ${width} ${height}`)
+        .style('background', 'white');
+    
+    const measureSelect = document.getElementById('ranking-measure');
+    const periodSelect = document.getElementById('ranking-period');
+    
+    if (measureSelect) {
+        measureSelect.value = rankingMeasure;
+        measureSelect.onchange = function() {
+            rankingMeasure = this.value;
+            drawObjectRanking(svg, width, height);
+        };
+    }
+    
+    if (periodSelect) {
+        // Time bins that have photos (rebuilt when the binning changes)
+        const bins = getTimeBins();
+        if (rankingPeriod !== 'all' && !bins.some(bin => bin.start === +rankingPeriod)) rankingPeriod = 'all';
+        
+        periodSelect.innerHTML = '';
+        const allOption = document.createElement('option');
+        allOption.value = 'all';
+        allOption.textContent = 'All Years';
+        periodSelect.appendChild(allOption);
+        bins.forEach(bin => {
+            const option = document.createElement('option');
+            option.value = bin.start;
+            option.textContent = `${bin.label === bin.range ? bin.range : `${bin.label}, ${bin.range}`} (${getPhotosInBin(bin).length})`;
+            periodSelect.appendChild(option);
+        });
+        periodSelect.value = rankingPeriod;
+        periodSelect.onchange = function() {
+            rankingPeriod = this.value === 'all' ? 'all' : +this.value;
+            drawObjectRanking(svg, width, height);
+        };
+    }
+    
+    if (photographData.length > 0) {
+        drawObjectRanking(svg, width, height);
+    }
+}
+
+// Ranked lollipop chart of every object for the selected time bin
+function drawObjectRanking(svg, width, height) {
+    const margin = { top: 50, right: 120, bottom: 30, left: 130 };
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+    
+    let g = svg.select('g.ranking-group');
+    if (!g.node()) {
+        g = svg.append('g')
+            .attr('class', 'ranking-group')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+        g.append('g').attr('class', 'x-axis');
+    }
+    
+    const bin = rankingPeriod === 'all' ? null : getBinForYear(+rankingPeriod);
+    const photos = bin ? getPhotosInBin(bin) : photographData;
+    const periodLabel = bin ? bin.label : 'All Years';
+    
+    const rows = getObjectKeys().map(obj => {
+        const matching = photos.filter(p => p.has[obj]);
+        return {
+            id: obj,
+            label: getObjectLabel(obj),
+            count: matching.length,
+            share: photos.length > 0 ? matching.length / photos.length * 100 : 0,
+            meanCoverage: getObjectWeight(matching, obj, 'coverage-mean'),
+            imageIds: matching.map(p => p.id)
+        };
+    });
+    const valueOf = d => rankingMeasure === 'count' ? d.count : d.meanCoverage;
+    rows.sort((a, b) => valueOf(b) - valueOf(a) || a.label.localeCompare(b.label));
+    
+    // Scales
+    const yScale = d3.scaleBand()
+        .domain(rows.map(d => d.id))
+        .range([0, innerHeight])
+        .padding(0.3);
+    
+    const xScale = d3.scaleLinear()
+        .domain([0, d3.max(rows, valueOf) || 1])
+        .nice()
+        .range([0, innerWidth]);
+    
+    const formatValue = d => rankingMeasure === 'count' ? `${d.count}` : `${d.meanCoverage.toFixed(1)}%`;
+    
+    g.select('.x-axis')
+        .transition().duration(500)
+        .call(d3.axisTop(xScale).ticks(8).tickFormat(v => rankingMeasure === 'count' ? v : v + '%'))
+        .style('font-size', '12px');
+    
+    // Tooltip: create once
+    let tooltip = d3.select('body').select('#viz3-tooltip');
+    if (tooltip.empty()) {
+        tooltip = d3.select('body').append('div')
+            .attr('id', 'viz3-tooltip')
+            .attr('class', 'viz-tooltip')
+            .style('position', 'absolute')
+            .style('pointer-events', 'none')
+            .style('display', 'none')
+            .style('background', 'rgba(0, 0, 0, 0.85)')
+            .style('color', '#fff')
+            .style('padding', '10px 12px')
+            .style('border-radius', '6px')
+            .style('font-size', '13px')
+            .style('z-index', '10000')
+            .style('box-shadow', '0 4px 12px rgba(0,0,0,0.3)');
+    }
+    
+    // Data join for rows keyed by object so reordering transitions
+    const rowGroups = g.selectAll('g.ranking-row').data(rows, d => d.id);
+    
+    const rowEnter = rowGroups.enter()
+        .append('g')
+        .attr('class', 'ranking-row')
+        .attr('transform', d => `translate(0,${yScale(d.id) + yScale.bandwidth() / 2})`)
+        .style('cursor', 'pointer');
+    
+    // Wide invisible hit area across the whole row
+    rowEnter.append('rect')
+        .attr('class', 'row-hit')
+        .attr('x', -margin.left)
+        .attr('y', -yScale.step() / 2)
+        .attr('width', width)
+        .attr('height', yScale.step())
+        .attr('fill', 'transparent');
+    
+    rowEnter.append('text')
+        .attr('class', 'row-label')
+        .attr('x', -12)
+        .attr('dy', '.35em')
+        .attr('text-anchor', 'end')
         .style('font-size', '13px')
-        .style('font-weight', '600')
-        .style('fill', '#666')
-        .text('Circle size = Frequency');
+        .style('fill', '#333')
+        .text(d => d.label);
     
-    legend.append('text')
-        .attr('x', 0)
+    rowEnter.append('line')
+        .attr('class', 'row-stem')
+        .attr('x1', 0)
+        .attr('x2', 0)
+        .attr('stroke', d => getObjectColor(d.id))
+        .attr('stroke-width', 3)
+        .style('opacity', 0.6);
+    
+    rowEnter.append('circle')
+        .attr('class', 'row-dot')
+        .attr('cx', 0)
+        .attr('r', 7)
+        .attr('fill', d => getObjectColor(d.id))
+        .attr('stroke', '#fff')
+        .attr('stroke-width', 1.5);
+    
+    rowEnter.append('text')
+        .attr('class', 'row-value')
+        .attr('x', 12)
+        .attr('dy', '.35em')
+        .style('font-size', '12px')
+        .style('fill', '#666');
+    
+    const rowMerge = rowEnter.merge(rowGroups);
+    
+    rowMerge.transition().duration(500)
+        .attr('transform', d => `translate(0,${yScale(d.id) + yScale.bandwidth() / 2})`);
+    
+    rowMerge.select('.row-stem').transition().duration(500)
+        .attr('x2', d => xScale(valueOf(d)));
+    
+    rowMerge.select('.row-dot').transition().duration(500)
+        .attr('cx', d => xScale(valueOf(d)))
+        .style('opacity', d => d.count > 0 ? 1 : 0.3);
+    
+    rowMerge.select('.row-value')
+        .text(formatValue)
+        .transition().duration(500)
+        .attr('x', d => xScale(valueOf(d)) + 12);
+    
+    rowMerge
+        .on('mousemove', (event, d) => {
+            const html = `<strong>${d.label}</strong> — ${periodLabel}<br>${d.count} photos (${d.share.toFixed(1)}% of ${photos.length})<br>Mean coverage when present: ${d.meanCoverage.toFixed(1)}% of frame<br><em style="font-size:11px; opacity:0.8;">Click to view all photos</em>`;
+            tooltip.html(html).style('left', (event.pageX + 12) + 'px').style('top', (event.pageY + 12) + 'px').style('display', 'block');
+        })
+        .on('mouseout', () => tooltip.style('display', 'none'))
+        .on('click', function(event, d) {
+            event.stopPropagation();
+            tooltip.style('display', 'none');
+            if (d.imageIds.length === 0) return;
+            const rect = this.querySelector('.row-dot').getBoundingClientRect();
+            const clickX = rect.left + rect.width / 2;
+            const clickY = rect.top + rect.height / 2;
+            showCategoryModal(d.label, orderImageIds(d.imageIds, [d.id]), periodLabel, clickX, clickY, [d.id]);
+        });
+    
+    // Caption
+    svg.selectAll('text.ranking-caption').data([1]).join('text')
+        .attr('class', 'ranking-caption')
+        .attr('x', width / 2)
         .attr('y', 20)
-        .style('font-size', '13px')
+        .attr('text-anchor', 'middle')
+        .style('font-size', '16px')
         .style('font-weight', '600')
-        .style('fill', '#666')
-        .text('Line thickness = Co-occurrence');
+        .style('fill', '#333')
+        .text(`${rankingMeasure === 'count' ? 'Photos containing each object' : 'Mean share of the frame when present'} — ${periodLabel} (${photos.length} photos)`);
 }
 
 // ===== CONTROL LISTENERS =====
@@ -1473,19 +2652,221 @@ function setupControlListeners() {
         });
     });
     
+    // Weight mode (applies to every chart)
+    const weightSelect = document.getElementById('weight-mode');
+    if (weightSelect) {
+        weightSelect.innerHTML = '';
+        Object.entries(WEIGHT_MODES).forEach(([mode, { label }]) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            option.selected = mode === weightMode;
+            weightSelect.appendChild(option);
+        });
+        weightSelect.addEventListener('change', function() {
+            weightMode = this.value;
+            refreshVisualizations();
+        });
+    }
+    
+    // Minimum coverage for an object to count as present (applies to every chart)
+    const thresholdSlider = document.getElementById('coverage-threshold');
+    const thresholdLabel = document.getElementById('coverage-threshold-label');
+    if (thresholdSlider && thresholdLabel) {
+        thresholdLabel.textContent = `≥ ${thresholdSlider.value}%`;
+        thresholdSlider.addEventListener('input', function() {
+            thresholdLabel.textContent = `≥ ${this.value}%`;
+        });
+        // Recompute only once the thumb is released; every chart redraws
+        thresholdSlider.addEventListener('change', function() {
+            setCoverageThreshold(+this.value);
+            refreshVisualizations();
+        });
+    }
+    
+    // Cohort difference panel
+    const differenceToggle = document.getElementById('difference-toggle');
+    if (differenceToggle) {
+        differenceToggle.checked = showDifference;
+        differenceToggle.addEventListener('change', function() {
+            showDifference = this.checked;
+            createDifferenceGraph();
+        });
+    }
+    
+    // Shared scales for the two timeline graphs
+    const lockToggle = document.getElementById('lock-scales');
+    if (lockToggle) {
+        lockToggle.checked = lockScales;
+        lockToggle.addEventListener('change', function() {
+            lockScales = this.checked;
+            updateMainVisualization();
+        });
+    }
+    
+    const differenceSelect = document.getElementById('difference-mode');
+    if (differenceSelect) {
+        differenceSelect.innerHTML = '';
+        Object.entries(DIFFERENCE_MODES).forEach(([mode, { label }]) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            option.selected = mode === differenceMode;
+            differenceSelect.appendChild(option);
+        });
+        differenceSelect.addEventListener('change', function() {
+            differenceMode = this.value;
+            createDifferenceGraph();
+        });
+    }
+    
+    // Co-occurrence network link strength; the threshold is in the chosen metric
+    const linkMetricSelect = document.getElementById('link-metric');
+    const linkThresholdInput = document.getElementById('link-threshold');
+    if (linkMetricSelect && linkThresholdInput) {
+        linkMetricSelect.innerHTML = '';
+        Object.entries(ASSOCIATION_METRICS).forEach(([metric, { label }]) => {
+            const option = document.createElement('option');
+            option.value = metric;
+            option.textContent = label;
+            option.selected = metric === linkMetric;
+            linkMetricSelect.appendChild(option);
+        });
+        const showThreshold = () => {
+            linkThresholdInput.step = ASSOCIATION_METRICS[linkMetric].step;
+            linkThresholdInput.value = getLinkThreshold();
+        };
+        showThreshold();
+        
+        linkMetricSelect.addEventListener('change', function() {
+            linkMetric = this.value;
+            linkThreshold = null; // Each metric starts from its own default
+            showThreshold();
+            initVisualization2();
+        });
+        linkThresholdInput.addEventListener('change', function() {
+            linkThreshold = this.value === '' || isNaN(+this.value) ? null : +this.value;
+            showThreshold();
+            initVisualization2();
+        });
+    }
+    
+    // Significance of network links
+    const significantToggle = document.getElementById('significant-only');
+    if (significantToggle) {
+        significantToggle.checked = significantLinksOnly;
+        significantToggle.addEventListener('change', function() {
+            significantLinksOnly = this.checked;
+            initVisualization2();
+        });
+    }
+    
+    const communitySelect = document.getElementById('community-method');
+    if (communitySelect) {
+        communitySelect.innerHTML = '';
+        Object.entries(COMMUNITY_METHODS).forEach(([method, { label }]) => {
+            const option = document.createElement('option');
+            option.value = method;
+            option.textContent = label;
+            option.selected = method === communityMethod;
+            communitySelect.appendChild(option);
+        });
+        communitySelect.addEventListener('change', function() {
+            communityMethod = this.value;
+            // Themes are redrawn in place, without a new layout
+            if (redrawNetworkPeriod) redrawNetworkPeriod();
+        });
+    }
+    
+    const correctionSelect = document.getElementById('p-correction');
+    if (correctionSelect) {
+        correctionSelect.innerHTML = '';
+        Object.entries(P_VALUE_CORRECTIONS).forEach(([correction, { label }]) => {
+            const option = document.createElement('option');
+            option.value = correction;
+            option.textContent = label;
+            option.selected = correction === pValueCorrection;
+            correctionSelect.appendChild(option);
+        });
+        correctionSelect.addEventListener('change', function() {
+            pValueCorrection = this.value;
+            initVisualization2();
+        });
+    }
+    
+    // Time binning (applies to every time-based chart)
+    const binningSelect = document.getElementById('time-binning');
+    const breakpointInput = document.getElementById('custom-breakpoints');
+    if (binningSelect && breakpointInput) {
+        binningSelect.innerHTML = '';
+        Object.entries(TIME_BINNINGS).forEach(([mode, { label }]) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            option.selected = mode === getTimeBinning();
+            binningSelect.appendChild(option);
+        });
+        breakpointInput.value = getBreakpointText();
+        breakpointInput.style.display = getTimeBinning() === 'custom' ? '' : 'none';
+        
+        const applyBinning = () => {
+            setTimeBinning(binningSelect.value, breakpointInput.value);
+            // Invalid breakpoints leave the previous binning in place
+            binningSelect.value = getTimeBinning();
+            breakpointInput.style.display = binningSelect.value === 'custom' ? '' : 'none';
+            refreshVisualizations();
+        };
+        binningSelect.addEventListener('change', applyBinning);
+        breakpointInput.addEventListener('change', applyBinning);
+    }
+    
+    // Image order (collages and photo galleries)
+    const orderSelect = document.getElementById('image-order');
+    const seedInput = document.getElementById('image-order-seed');
+    if (orderSelect && seedInput) {
+        orderSelect.innerHTML = '';
+        Object.entries(IMAGE_ORDERS).forEach(([mode, { label }]) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            option.selected = mode === getImageOrder();
+            orderSelect.appendChild(option);
+        });
+        seedInput.value = getImageOrderSeed();
+        seedInput.style.display = getImageOrder() === 'random' ? '' : 'none';
+        
+        const applyOrder = () => {
+            setImageOrder(orderSelect.value, parseInt(seedInput.value, 10));
+            // An invalid seed leaves the previous order in place
+            orderSelect.value = getImageOrder();
+            seedInput.value = getImageOrderSeed();
+            seedInput.style.display = orderSelect.value === 'random' ? '' : 'none';
+            if (redrawVisualization1) redrawVisualization1();
+        };
+        orderSelect.addEventListener('change', applyOrder);
+        seedInput.addEventListener('change', applyOrder);
+    }
+    
     // Populate object checkboxes
     populateObjectCheckboxes();
 }
 
+// Re-render every chart after a global setting (e.g. weight mode) changes
+function refreshVisualizations() {
+    if (photographData.length === 0) return;
+    if (redrawVisualization1) redrawVisualization1();
+    initVisualization2();
+    initVisualization3();
+    updateMainVisualization();
+}
+
 function populateObjectCheckboxes() {
     const container = document.getElementById('object-checkboxes');
     if (!container) return;
     
-    const allObjects = ['person', 'building', 'tree', 'water', 'mountain', 'grass', 'house', 'road', 'animal', 'sea', 'river', 'plant', 'rock', 'fence', 'boat'];
-    
     container.innerHTML = '';
     
-    allObjects.forEach(obj => {
+    getObjectKeys().forEach(obj => {
         const label = document.createElement('label');
         label.className = 'checkbox-label';
         
@@ -1499,62 +2880,20 @@ function populateObjectCheckboxes() {
                 if (selectedObjects.length < MAX_OBJECTS) {
                     selectedObjects.push(obj);
                 } else {
-                    this.checked = false;
-                    alert(`You can only select up to ${MAX_OBJECTS} objects`);
-                    return;
-                }
-            } else {
-                selectedObjects = selectedObjects.filter(o => o !== obj);
-            }
-            updateMainVisualization();
-        });
-        
-        label.appendChild(checkbox);
-        label.appendChild(document.createTextNode(' ' + obj.charAt(0).toUpperCase() + obj.slice(1)));
-        container.appendChild(label);
-    });
-}
-
-// Parse nationality string to extract base nationalities
-function parseNationality(nationalityStr) {
-    if (!nationalityStr || nationalityStr === '') return [];
-    
-    const allNationalities = [];
-    
-    // First split by pipe (|) to handle multiple artists
-    const artistNationalities = nationalityStr.split('|');
-    
-    artistNationalities.forEach(artistNat => {
-        // Remove ", born {country}", ", active {country}", and any trailing " ?"
-        let cleaned = artistNat
-            .replace(/,\s*born\s+[^,]+/gi, '')
-            .replace(/,\s*active\s+[^,]+/gi, '')
-            .replace(/\s+\?$/g, '')
-            .trim();
-        
-        // Replace "English" with "British"
-        cleaned = cleaned.replace(/\bEnglish\b/gi, 'British');
-        
-        // Skip if empty after cleaning
-        if (!cleaned) return;
-        
-        // Split by common delimiters: " and ", "-", ", "
-        // First split by " and "
-        const andParts = cleaned.split(/\s+and\s+/i);
-        
-        andParts.forEach(part => {
-            // Then split by "-" or ", "
-            const subParts = part.split(/[-,]\s*/);
-            subParts.forEach(nat => {
-                const trimmed = nat.trim();
-                if (trimmed && trimmed !== '') {
-                    allNationalities.push(trimmed);
+                    this.checked = false;
+                    alert(`You can only select up to ${MAX_OBJECTS} objects`);
+                    return;
                 }
-            });
+            } else {
+                selectedObjects = selectedObjects.filter(o => o !== obj);
+            }
+            updateMainVisualization();
         });
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' ' + getObjectLabel(obj)));
+        container.appendChild(label);
     });
-    
-    return allNationalities;
 }
 
 // Populate nationality dropdowns with nationalities that have 10+ data points
@@ -1571,8 +2910,7 @@ function populateNationalityDropdown() {
     const nationalityCounts = {};
     
     photographData.forEach(photo => {
-        const nationalities = parseNationality(photo.origin);
-        nationalities.forEach(nat => {
+        photo.nationalities.forEach(nat => {
             nationalityCounts[nat] = (nationalityCounts[nat] || 0) + 1;
         });
     });
@@ -1583,6 +2921,11 @@ function populateNationalityDropdown() {
         .sort((a, b) => b[1] - a[1])
         .map(([nat, count]) => ({ name: nat, count: nationalityCounts[nat] }));
     
+    // Drop selections (e.g. from a shared link) that aren't offered
+    const isAvailable = nat => nat === 'all' || availableNationalities.some(n => n.name === nat);
+    if (!isAvailable(selectedNationality1)) selectedNationality1 = 'all';
+    if (!isAvailable(selectedNationality2)) selectedNationality2 = 'all';
+    
     
     // Populate both dropdowns
     populateDropdown(dropdown1, 1);
@@ -1606,6 +2949,8 @@ function populateNationalityDropdown() {
 function populateDropdown(dropdown, graphNumber) {
     const otherSelected = graphNumber === 1 ? selectedNationality2 : selectedNationality1;
     const currentSelected = graphNumber === 1 ? selectedNationality1 : selectedNationality2;
+    // The same nationality is only a duplicate graph when the genders match too
+    const sameGender = selectedGender1 === selectedGender2;
     
     // Clear existing options
     dropdown.innerHTML = '';
@@ -1625,7 +2970,7 @@ function populateDropdown(dropdown, graphNumber) {
         option.selected = currentSelected === name;
         
         // Disable if selected in other dropdown
-        if (otherSelected === name) {
+        if (otherSelected === name && sameGender) {
             option.disabled = true;
             option.style.color = '#ccc';
         }
@@ -1634,25 +2979,349 @@ function populateDropdown(dropdown, graphNumber) {
     });
 }
 
-// Filter data by selected nationality
+// Populate gender dropdowns; hidden when the data carries no gender at all
+function populateGenderDropdowns() {
+    const genders = getAvailableGenders();
+    const unknownCount = photographData.filter(p => !p.gender).length;
+    
+    [1, 2].forEach(graphNumber => {
+        const dropdown = document.getElementById(`gender-filter-${graphNumber}`);
+        if (!dropdown) return;
+        
+        const controls = dropdown.parentNode.querySelectorAll('.gender-control');
+        controls.forEach(el => el.style.display = genders.length > 0 ? '' : 'none');
+        
+        const options = [{ value: 'all', text: 'All Genders' }]
+            .concat(genders.map(({ name, count }) => ({
+                value: name,
+                text: `${name.charAt(0).toUpperCase() + name.slice(1)} (${count})`
+            })));
+        if (unknownCount > 0) options.push({ value: 'unknown', text: `Unknown (${unknownCount})` });
+        
+        // Drop selections (e.g. from a shared link) that aren't offered
+        const current = graphNumber === 1 ? selectedGender1 : selectedGender2;
+        const selected = options.some(o => o.value === current) ? current : 'all';
+        if (graphNumber === 1) selectedGender1 = selected; else selectedGender2 = selected;
+        
+        dropdown.innerHTML = '';
+        options.forEach(({ value, text }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            option.selected = value === selected;
+            dropdown.appendChild(option);
+        });
+        
+        dropdown.addEventListener('change', function() {
+            if (graphNumber === 1) selectedGender1 = this.value; else selectedGender2 = this.value;
+            // Nationality duplicates depend on the genders
+            populateDropdown(document.getElementById('nationality-filter-1'), 1);
+            populateDropdown(document.getElementById('nationality-filter-2'), 2);
+            updateMainVisualization();
+        });
+    });
+}
+
+function getGenderLabel(gender) {
+    if (gender === 'unknown') return 'Unknown gender';
+    return gender.charAt(0).toUpperCase() + gender.slice(1);
+}
+
+// ===== GLOBAL TIMELINE FILTERS =====
+// Keyed by the filter buttons' data-filter; group matches data-filter-group
+const TIMELINE_FILTERS = {
+    'era-early': { group: 'era', label: 'Before 1860', test: p => p.year !== null && p.year < 1860 },
+    'era-middle': { group: 'era', label: '1860–1889', test: p => p.year >= 1860 && p.year < 1890 },
+    'era-late': { group: 'era', label: '1890 onward', test: p => p.year >= 1890 },
+    'artist-one-off': { group: 'artist', label: 'One-off artists (1 work)', test: p => p.worksInMuseum === 1 },
+    'artist-occasional': { group: 'artist', label: 'Occasional artists (2–49 works)', test: p => p.worksInMuseum >= 2 && p.worksInMuseum < 50 },
+    'artist-prolific': { group: 'artist', label: 'Prolific artists (50+ works)', test: p => p.worksInMuseum >= 50 }
+};
+
+// Look up a filter by key; work type filters ("work-type:<type>") are built from the data
+function getTimelineFilter(key) {
+    if (TIMELINE_FILTERS[key]) return TIMELINE_FILTERS[key];
+    if (typeof key === 'string' && key.startsWith('work-type:')) {
+        const workType = key.slice('work-type:'.length);
+        return { group: 'work-type', label: workType, test: p => p.workType === workType };
+    }
+    return null;
+}
+
+// Add one filter button per work type found in the dataset
+function populateWorkTypeFilters() {
+    const container = document.getElementById('work-type-filters');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    const workTypes = Array.from(new Set(photographData.map(p => p.workType).filter(Boolean))).sort();
+    workTypes.forEach(workType => {
+        const button = document.createElement('button');
+        button.className = 'filter-btn';
+        button.dataset.filter = `work-type:${workType}`;
+        button.dataset.filterGroup = 'work-type';
+        button.textContent = workType;
+        container.appendChild(button);
+    });
+}
+
+// Clear one filter group, as if its active button had been clicked again
+function clearTimelineFilter(group) {
+    document.dispatchEvent(new CustomEvent('filterChange', {
+        detail: { filter: 'all', group: group }
+    }));
+}
+
+// Filter data by selected nationality, gender, cohort conditions and every active global filter
 function getFilteredData(graphNumber) {
     const selectedNationality = graphNumber === 1 ? selectedNationality1 : selectedNationality2;
-    
-    if (selectedNationality === 'all') {
-        return photographData;
+    const selectedGender = graphNumber === 1 ? selectedGender1 : selectedGender2;
+    const photos = getPhotosByNationality(selectedNationality);
+    
+    const tests = Object.values(activeFilters)
+        .map(getTimelineFilter)
+        .filter(Boolean)
+        .map(f => f.test);
+    if (selectedGender === 'unknown') {
+        tests.push(p => !p.gender);
+    } else if (selectedGender !== 'all') {
+        tests.push(p => p.gender === selectedGender);
     }
+    const cohortTest = getCohortTest(graphNumber);
+    if (cohortTest) tests.push(cohortTest);
+    if (tests.length === 0) return photos;
     
-    return photographData.filter(photo => {
-        const nationalities = parseNationality(photo.origin);
-        return nationalities.includes(selectedNationality);
+    return photos.filter(p => tests.every(test => test(p)));
+}
+
+// Show the active filters as removable chips above each timeline graph
+function renderFilterChips() {
+    // Keep button state in sync (filters may come from a shared link)
+    document.querySelectorAll('.filter-btn').forEach(btn => {
+        const group = btn.dataset.filterGroup || 'default';
+        btn.classList.toggle('active', activeFilters[group] === btn.dataset.filter);
+    });
+    
+    [1, 2].forEach(graphNumber => {
+        const container = d3.select(`#filter-chips-${graphNumber}`);
+        if (container.empty()) return;
+        
+        const nationality = graphNumber === 1 ? selectedNationality1 : selectedNationality2;
+        const gender = graphNumber === 1 ? selectedGender1 : selectedGender2;
+        const chips = getCohortConditions(graphNumber).map(condition => ({
+            label: describeCondition(condition),
+            onRemove: () => removeCohortCondition(graphNumber, condition)
+        })).concat(Object.entries(activeFilters).map(([group, key]) => ({
+            label: getTimelineFilter(key).label,
+            onRemove: () => clearTimelineFilter(group)
+        })));
+        if (gender !== 'all') {
+            chips.unshift({
+                label: getGenderLabel(gender),
+                onRemove: () => {
+                    const dropdown = document.getElementById(`gender-filter-${graphNumber}`);
+                    dropdown.value = 'all';
+                    dropdown.dispatchEvent(new Event('change', { bubbles: true }));
+                }
+            });
+        }
+        if (nationality !== 'all') {
+            chips.unshift({
+                label: nationality,
+                onRemove: () => {
+                    const dropdown = document.getElementById(`nationality-filter-${graphNumber}`);
+                    dropdown.value = 'all';
+                    dropdown.dispatchEvent(new Event('change', { bubbles: true }));
+                }
+            });
+        }
+        
+        container.selectAll('*').remove();
+        chips.forEach(chip => {
+            const chipEl = container.append('span').attr('class', 'filter-chip');
+            chipEl.append('span').text(chip.label);
+            chipEl.append('button')
+                .attr('class', 'filter-chip-remove')
+                .attr('aria-label', `Remove filter ${chip.label}`)
+                .text('×')
+                .on('click', chip.onRemove);
+        });
+        container.append('span')
+            .attr('class', 'filter-chip filter-chip-count')
+            .text(`${getFilteredData(graphNumber).length} photos`);
     });
 }
 
+// Short name of a graph's cohort for titles, e.g. "French · Female · Contains tree"
+function describeCohort(graphNumber) {
+    const nationality = graphNumber === 1 ? selectedNationality1 : selectedNationality2;
+    const gender = graphNumber === 1 ? selectedGender1 : selectedGender2;
+    const parts = [];
+    if (nationality !== 'all') parts.push(nationality);
+    if (gender !== 'all') parts.push(getGenderLabel(gender));
+    getCohortConditions(graphNumber).forEach(c => parts.push(describeCondition(c)));
+    return parts.length > 0 ? parts.join(' · ') : 'All photographs';
+}
+
 // ===== MAIN VISUALIZATION: INTERACTIVE TIMELINE =====
+
+// Tooltip line for a timeline value under the current weight mode
+function describeWeight(value) {
+    if (weightMode === 'count') return `Count: ${value}`;
+    return `${WEIGHT_MODES[weightMode].label}: ${formatWeight(value, weightMode)}`;
+}
+
+// Tooltip line for a percentage timeline value
+function describePercentage(value) {
+    return `${weightMode === 'count' ? 'Percentage' : 'Share of frame area'}: ${value.toFixed(1)}%`;
+}
+
+// Tooltip line naming a timeline row's time bin and how many photos it holds
+function describeBin(row) {
+    const { label, range } = row.bin;
+    return `Period: ${label === range ? range : `${label}, ${range}`} (${row.total} photos)`;
+}
+
+// Rows of { start, bin, total, [object]: value } per time bin (see
+// getBinForYear) for a graph's selected objects: weights under the current
+// weight mode, or percentage shares when asPercent is set
+function getTimelineData(graphNumber, asPercent = false) {
+    return groupPhotosByBin(getFilteredData(graphNumber))
+        .map(([bin, photos]) => {
+            const result = { start: bin.start, bin: bin, total: photos.length };
+            selectedObjects.forEach(subject => {
+                result[subject] = asPercent
+                    ? getObjectShare(photos, subject, weightMode)
+                    : getObjectWeight(photos, subject, weightMode);
+            });
+            return result;
+        });
+}
+
+function stackTimelineData(timelineData) {
+    return d3.stack()
+        .keys(selectedObjects)
+        .order(d3.stackOrderInsideOut)
+        .offset(d3.stackOffsetWiggle)(timelineData);
+}
+
+// Row of a timeline whose bin starts closest to a year (e.g. under the mouse)
+function findTimelineRow(timelineData, year) {
+    return d3.least(timelineData, d => Math.abs(d.start - year));
+}
+
+// x (bin start year) and y domains of one graph under the current view type
+function getTimelineDomains(graphNumber) {
+    const isPercent = currentViewType.startsWith('percentage');
+    const timelineData = getTimelineData(graphNumber, isPercent);
+    const x = d3.extent(timelineData, d => d.start);
+    
+    if (currentViewType === 'streamgraph' || currentViewType === 'percentage-stream') {
+        const series = stackTimelineData(timelineData);
+        return { x: x, y: [d3.min(series, s => d3.min(s, d => d[0])), d3.max(series, s => d3.max(s, d => d[1]))] };
+    }
+    if (currentViewType === 'line') {
+        return { x: x, y: [0, d3.max(timelineData, d => d3.max(selectedObjects.map(obj => d[obj])))] };
+    }
+    return { x: x, y: [0, 100] };
+}
+
+// Domains a graph is drawn on: its own, or the union of both graphs' when
+// scales are locked (a graph with no data doesn't widen the other's)
+function getGraphDomains(graphNumber) {
+    const own = getTimelineDomains(graphNumber);
+    if (!lockScales) return own;
+    
+    const other = getTimelineDomains(graphNumber === 1 ? 2 : 1);
+    const union = (a, b) => {
+        const values = a.concat(b).filter(v => v !== undefined);
+        return values.length > 0 ? d3.extent(values) : a;
+    };
+    return { x: union(own.x, other.x), y: union(own.y, other.y) };
+}
+
+// ===== LINKED HOVER =====
+// graph number -> show(binStart, withTooltip) for the graph currently drawn.
+// Hovering a time bin in one graph draws a crosshair in both and a summary
+// tooltip at the same bin in the other
+const timelineCrosshairs = {};
+
+function addLinkedHover(svg, graphNumber, margin, xScale, innerHeight, timelineData, describeValue) {
+    const g = svg.select('g');
+    const crosshair = g.append('line')
+        .attr('class', 'timeline-crosshair')
+        .attr('y1', 0)
+        .attr('y2', innerHeight)
+        .attr('stroke', '#333')
+        .attr('stroke-width', 1)
+        .attr('stroke-dasharray', '4,3')
+        .style('pointer-events', 'none')
+        .style('display', 'none');
+    
+    const tooltip = d3.select('body').selectAll(`.tooltip-linked-${graphNumber}`).data([null]);
+    const tooltipEnter = tooltip.enter().append('div')
+        .attr('class', `tooltip-linked-${graphNumber} viz-tooltip`)
+        .style('position', 'absolute')
+        .style('background', 'rgba(0, 0, 0, 0.85)')
+        .style('color', '#fff')
+        .style('padding', '10px 12px')
+        .style('border-radius', '6px')
+        .style('font-size', '13px')
+        .style('pointer-events', 'none')
+        .style('display', 'none')
+        .style('z-index', '10000')
+        .style('box-shadow', '0 4px 12px rgba(0,0,0,0.3)');
+    const tooltipDiv = tooltipEnter.merge(tooltip);
+    
+    timelineCrosshairs[graphNumber] = (binStart, withTooltip) => {
+        const dataPoint = timelineData.find(d => d.start === binStart);
+        if (!dataPoint) {
+            crosshair.style('display', 'none');
+            tooltipDiv.style('display', 'none');
+            return;
+        }
+        
+        const x = xScale(binStart);
+        crosshair.attr('x1', x).attr('x2', x).style('display', null);
+        if (!withTooltip) {
+            tooltipDiv.style('display', 'none');
+            return;
+        }
+        
+        // The SVG may be scaled by CSS; map the crosshair to page coordinates
+        const rect = svg.node().getBoundingClientRect();
+        const scale = rect.width / +svg.attr('width') || 1;
+        const rows = selectedObjects
+            .map(obj => `<span style="color:${getObjectColor(obj)}">■</span> ${getObjectLabel(obj)} — ${describeValue(dataPoint[obj] || 0)}`)
+            .join('<br/>');
+        tooltipDiv
+            .html(`<strong>${describeCohort(graphNumber)}</strong><br/>${describeBin(dataPoint)}<br/>${rows}`)
+            .style('left', (rect.left + window.scrollX + (margin.left + x) * scale + 15) + 'px')
+            .style('top', (rect.top + window.scrollY + margin.top * scale) + 'px')
+            .style('display', 'block');
+    };
+    
+    const otherGraph = graphNumber === 1 ? 2 : 1;
+    svg.on('mousemove.linked', function(event) {
+        const [mouseX] = d3.pointer(event, g.node());
+        const row = findTimelineRow(timelineData, xScale.invert(mouseX));
+        if (!row) return;
+        timelineCrosshairs[graphNumber](row.start, false);
+        if (timelineCrosshairs[otherGraph]) timelineCrosshairs[otherGraph](row.start, true);
+    });
+    svg.on('mouseleave.linked', function() {
+        [graphNumber, otherGraph].forEach(n => {
+            if (timelineCrosshairs[n]) timelineCrosshairs[n](null);
+        });
+    });
+}
+
 function initMainVisualization() {
     // Create both graphs
     createGraph(1);
     createGraph(2);
+    createDifferenceGraph();
+    renderFilterChips();
 }
 
 function createGraph(graphNumber) {
@@ -1662,6 +3331,7 @@ function createGraph(graphNumber) {
     
     // Clear any existing content
     container.selectAll('*').remove();
+    delete timelineCrosshairs[graphNumber];
     
     // Set up SVG
     const svg = container
@@ -1671,7 +3341,17 @@ function createGraph(graphNumber) {
         .style('background', 'white');
     
     // If we have data, create the visualization
-    if (photographData.length > 0) {
+    if (photographData.length > 0 && getFilteredData(graphNumber).length === 0) {
+        // Filters combined to an empty selection
+        svg.append('text')
+            .attr('x', width / 2)
+            .attr('y', height / 2)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '18px')
+            .style('fill', '#999')
+            .style('font-weight', '600')
+            .text('No photographs match the current filters');
+    } else if (photographData.length > 0) {
         if (currentViewType === 'streamgraph') {
             createStreamgraph(svg, width, height, graphNumber);
         } else if (currentViewType === 'line') {
@@ -1695,49 +3375,25 @@ function createStreamgraph(svg, width, height, graphNumber) {
     const g = svg.append('g')
         .attr('transform', `translate(${margin.left},${margin.top})`);
     
-    // Get filtered data
-    const filteredData = getFilteredData(graphNumber);
-    
-    // Process data by decade
-    const decades = d3.groups(filteredData, d => Math.floor(+d.creation_year / 10) * 10)
-        .filter(([decade]) => decade >= 1840 && decade <= 2020)
-        .sort((a, b) => a[0] - b[0]);
-    
-    const timelineData = decades.map(([decade, photos]) => {
-        const result = { decade: decade };
-        
-        selectedObjects.forEach(subject => {
-            const hasField = `has_${subject}`;
-            result[subject] = photos.filter(p => p[hasField] === '1.0').length;
-        });
-        
-        return result;
-    });
+    // Weight of each selected object per time bin
+    const timelineData = getTimelineData(graphNumber);
     
-    // Scales
+    // Scales (shared with the other graph when scales are locked)
+    const domains = getGraphDomains(graphNumber);
     const xScale = d3.scaleLinear()
-        .domain(d3.extent(timelineData, d => d.decade))
+        .domain(domains.x)
         .range([0, innerWidth]);
     
-    // Stack data for streamgraph
-    const stack = d3.stack()
-        .keys(selectedObjects)
-        .order(d3.stackOrderInsideOut)
-        .offset(d3.stackOffsetWiggle);
-    
-    const series = stack(timelineData);
+    // Stack data for streamgraph (using wiggle offset for centered flow)
+    const series = stackTimelineData(timelineData);
     
     const yScale = d3.scaleLinear()
-        .domain([d3.min(series, s => d3.min(s, d => d[0])), d3.max(series, s => d3.max(s, d => d[1]))])
+        .domain(domains.y)
         .range([innerHeight, 0]);
     
-    const colorScale = d3.scaleOrdinal()
-        .domain(selectedObjects)
-        .range(d3.schemeCategory10);
-    
     // Area generator
     const area = d3.area()
-        .x(d => xScale(d.data.decade))
+        .x(d => xScale(d.data.start))
         .y0(d => yScale(d[0]))
         .y1(d => yScale(d[1]))
         .curve(d3.curveBasis);
@@ -1765,22 +3421,21 @@ function createStreamgraph(svg, width, height, graphNumber) {
         .append('path')
         .attr('class', 'stream')
         .attr('d', area)
-        .attr('fill', d => colorScale(d.key))
+        .attr('fill', d => getObjectColor(d.key))
         .style('opacity', 0.8)
         .on('mousemove', function(event, d) {
             d3.select(this).style('opacity', 1).style('stroke', '#333').style('stroke-width', 2);
             
-            // Find closest decade to mouse position
+            // Find the time bin closest to the mouse position
             const [mouseX] = d3.pointer(event, g.node());
-            const decade = Math.round(xScale.invert(mouseX) / 10) * 10;
-            const dataPoint = timelineData.find(dp => dp.decade === decade);
+            const dataPoint = findTimelineRow(timelineData, xScale.invert(mouseX));
             
             if (dataPoint) {
                 const count = dataPoint[d.key] || 0;
-                const objectName = d.key.charAt(0).toUpperCase() + d.key.slice(1);
+                const objectName = getObjectLabel(d.key);
                 
                 tooltipDiv
-                    .html(`<strong>${objectName}</strong><br/>Year: ${decade}<br/>Count: ${count}`)
+                    .html(`<strong>${objectName}</strong><br/>${describeBin(dataPoint)}<br/>${describeWeight(count)}`)
                     .style('left', (event.pageX + 15) + 'px')
                     .style('top', (event.pageY + 15) + 'px')
                     .style('display', 'block');
@@ -1797,6 +3452,9 @@ function createStreamgraph(svg, width, height, graphNumber) {
         .call(d3.axisBottom(xScale).tickFormat(d3.format('d')))
         .style('font-size', '12px');
     
+    // Crosshair and tooltip linked with the other graph
+    addLinkedHover(svg, graphNumber, margin, xScale, innerHeight, timelineData, describeWeight);
+    
     // Legend
     const legend = g.append('g')
         .attr('transform', `translate(${innerWidth + 20}, 0)`);
@@ -1808,14 +3466,14 @@ function createStreamgraph(svg, width, height, graphNumber) {
         legendRow.append('rect')
             .attr('width', 18)
             .attr('height', 18)
-            .attr('fill', colorScale(subject))
+            .attr('fill', getObjectColor(subject))
             .style('opacity', 0.8);
         
         legendRow.append('text')
             .attr('x', 25)
             .attr('y', 14)
             .style('font-size', '12px')
-            .text(subject.charAt(0).toUpperCase() + subject.slice(1));
+            .text(getObjectLabel(subject));
     });
     
     // Axis labels
@@ -1836,39 +3494,19 @@ function createLineGraph(svg, width, height, graphNumber) {
     const g = svg.append('g')
         .attr('transform', `translate(${margin.left},${margin.top})`);
     
-    // Get filtered data
-    const filteredData = getFilteredData(graphNumber);
-    
-    // Process data by decade
-    const decades = d3.groups(filteredData, d => Math.floor(+d.creation_year / 10) * 10)
-        .filter(([decade]) => decade >= 1840 && decade <= 2020)
-        .sort((a, b) => a[0] - b[0]);
-    
-    const timelineData = decades.map(([decade, photos]) => {
-        const result = { decade: decade };
-        
-        selectedObjects.forEach(subject => {
-            const hasField = `has_${subject}`;
-            result[subject] = photos.filter(p => p[hasField] === '1.0').length;
-        });
-        
-        return result;
-    });
+    // Weight of each selected object per time bin
+    const timelineData = getTimelineData(graphNumber);
     
-    // Scales
+    // Scales (shared with the other graph when scales are locked)
+    const domains = getGraphDomains(graphNumber);
     const xScale = d3.scaleLinear()
-        .domain(d3.extent(timelineData, d => d.decade))
+        .domain(domains.x)
         .range([0, innerWidth]);
     
-    const maxCount = d3.max(timelineData, d => d3.max(selectedObjects.map(obj => d[obj])));
     const yScale = d3.scaleLinear()
-        .domain([0, maxCount])
+        .domain(domains.y)
         .range([innerHeight, 0]);
     
-    const colorScale = d3.scaleOrdinal()
-        .domain(selectedObjects)
-        .range(d3.schemeCategory10);
-    
     // Create tooltip
     const tooltip = d3.select('body').selectAll(`.tooltip-line-graph-${graphNumber}`).data([null]);
     const tooltipEnter = tooltip.enter().append('div')
@@ -1887,21 +3525,21 @@ function createLineGraph(svg, width, height, graphNumber) {
     
     // Line generator
     const line = d3.line()
-        .x(d => xScale(d.decade))
+        .x(d => xScale(d.start))
         .y(d => d.value)
         .curve(d3.curveMonotoneX);
     
     // Draw lines for each object
     selectedObjects.forEach(subject => {
         const lineData = timelineData.map(d => ({
-            decade: d.decade,
+            start: d.start,
             value: yScale(d[subject])
         }));
         
         g.append('path')
             .datum(lineData)
             .attr('fill', 'none')
-            .attr('stroke', colorScale(subject))
+            .attr('stroke', getObjectColor(subject))
             .attr('stroke-width', 3)
             .attr('d', line)
             .style('opacity', 0.8);
@@ -1912,19 +3550,19 @@ function createLineGraph(svg, width, height, graphNumber) {
             .enter()
             .append('circle')
             .attr('class', `dot-${subject}`)
-            .attr('cx', d => xScale(d.decade))
+            .attr('cx', d => xScale(d.start))
             .attr('cy', d => yScale(d[subject]))
             .attr('r', 5)
-            .attr('fill', colorScale(subject))
+            .attr('fill', getObjectColor(subject))
             .style('opacity', 0.9)
             .on('mouseover', function(event, d) {
                 d3.select(this).attr('r', 7);
                 
                 const count = d[subject] || 0;
-                const objectName = subject.charAt(0).toUpperCase() + subject.slice(1);
+                const objectName = getObjectLabel(subject);
                 
                 tooltipDiv
-                    .html(`<strong>${objectName}</strong><br/>Year: ${d.decade}<br/>Count: ${count}`)
+                    .html(`<strong>${objectName}</strong><br/>${describeBin(d)}<br/>${describeWeight(count)}`)
                     .style('left', (event.pageX + 15) + 'px')
                     .style('top', (event.pageY + 15) + 'px')
                     .style('display', 'block');
@@ -1945,6 +3583,9 @@ function createLineGraph(svg, width, height, graphNumber) {
         .call(d3.axisLeft(yScale))
         .style('font-size', '12px');
     
+    // Crosshair and tooltip linked with the other graph
+    addLinkedHover(svg, graphNumber, margin, xScale, innerHeight, timelineData, describeWeight);
+    
     // Legend
     const legend = g.append('g')
         .attr('transform', `translate(${innerWidth + 20}, 0)`);
@@ -1958,14 +3599,14 @@ function createLineGraph(svg, width, height, graphNumber) {
             .attr('y1', 9)
             .attr('x2', 20)
             .attr('y2', 9)
-            .attr('stroke', colorScale(subject))
+            .attr('stroke', getObjectColor(subject))
             .attr('stroke-width', 3);
         
         legendRow.append('text')
             .attr('x', 25)
             .attr('y', 14)
             .style('font-size', '12px')
-            .text(subject.charAt(0).toUpperCase() + subject.slice(1));
+            .text(getObjectLabel(subject));
     });
     
     // Axis labels
@@ -1984,7 +3625,7 @@ function createLineGraph(svg, width, height, graphNumber) {
         .attr('text-anchor', 'middle')
         .style('font-size', '13px')
         .style('font-weight', 'bold')
-        .text('# of Works');
+        .text(WEIGHT_MODES[weightMode].axisLabel);
 }
 
 function createStreamgraphPercentage(svg, width, height, graphNumber) {
@@ -1995,48 +3636,22 @@ function createStreamgraphPercentage(svg, width, height, graphNumber) {
     const g = svg.append('g')
         .attr('transform', `translate(${margin.left},${margin.top})`);
     
-    // Get filtered data
-    const filteredData = getFilteredData(graphNumber);
-    
-    // Process data by decade
-    const decades = d3.groups(filteredData, d => Math.floor(+d.creation_year / 10) * 10)
-        .filter(([decade]) => decade >= 1840 && decade <= 2020)
-        .sort((a, b) => a[0] - b[0]);
-    
-    const timelineData = decades.map(([decade, photos]) => {
-        const result = { decade: decade };
-        const total = photos.length;
-        
-        selectedObjects.forEach(subject => {
-            const hasField = `has_${subject}`;
-            const count = photos.filter(p => p[hasField] === '1.0').length;
-            result[subject] = (count / total) * 100; // Convert to percentage
-        });
-        
-        return result;
-    });
+    // Share of each selected object per time bin (percentage of photos or frame area)
+    const timelineData = getTimelineData(graphNumber, true);
     
-    // Scales
+    // Scales (shared with the other graph when scales are locked)
+    const domains = getGraphDomains(graphNumber);
     const xScale = d3.scaleLinear()
-        .domain(d3.extent(timelineData, d => d.decade))
+        .domain(domains.x)
         .range([0, innerWidth]);
     
     // Stack data for streamgraph (using wiggle offset for centered flow)
-    const stack = d3.stack()
-        .keys(selectedObjects)
-        .order(d3.stackOrderInsideOut)
-        .offset(d3.stackOffsetWiggle);
-    
-    const series = stack(timelineData);
+    const series = stackTimelineData(timelineData);
     
     const yScale = d3.scaleLinear()
-        .domain([d3.min(series, s => d3.min(s, d => d[0])), d3.max(series, s => d3.max(s, d => d[1]))])
+        .domain(domains.y)
         .range([innerHeight, 0]);
     
-    const colorScale = d3.scaleOrdinal()
-        .domain(selectedObjects)
-        .range(d3.schemeCategory10);
-    
     // Create tooltip
     const tooltip = d3.select('body').selectAll(`.tooltip-pct-stream-${graphNumber}`).data([null]);
     const tooltipEnter = tooltip.enter().append('div')
@@ -2055,7 +3670,7 @@ function createStreamgraphPercentage(svg, width, height, graphNumber) {
     
     // Area generator
     const area = d3.area()
-        .x(d => xScale(d.data.decade))
+        .x(d => xScale(d.data.start))
         .y0(d => yScale(d[0]))
         .y1(d => yScale(d[1]))
         .curve(d3.curveBasis);
@@ -2067,22 +3682,21 @@ function createStreamgraphPercentage(svg, width, height, graphNumber) {
         .append('path')
         .attr('class', 'stream')
         .attr('d', area)
-        .attr('fill', d => colorScale(d.key))
+        .attr('fill', d => getObjectColor(d.key))
         .style('opacity', 0.8)
         .on('mousemove', function(event, d) {
             d3.select(this).style('opacity', 1).style('stroke', '#333').style('stroke-width', 2);
             
-            // Find closest decade to mouse position
+            // Find the time bin closest to the mouse position
             const [mouseX] = d3.pointer(event, g.node());
-            const decade = Math.round(xScale.invert(mouseX) / 10) * 10;
-            const dataPoint = timelineData.find(dp => dp.decade === decade);
+            const dataPoint = findTimelineRow(timelineData, xScale.invert(mouseX));
             
             if (dataPoint) {
                 const percentage = dataPoint[d.key] || 0;
-                const objectName = d.key.charAt(0).toUpperCase() + d.key.slice(1);
+                const objectName = getObjectLabel(d.key);
                 
                 tooltipDiv
-                    .html(`<strong>${objectName}</strong><br/>Year: ${decade}<br/>Percentage: ${percentage.toFixed(1)}%`)
+                    .html(`<strong>${objectName}</strong><br/>${describeBin(dataPoint)}<br/>${describePercentage(percentage)}`)
                     .style('left', (event.pageX + 15) + 'px')
                     .style('top', (event.pageY + 15) + 'px')
                     .style('display', 'block');
@@ -2099,6 +3713,9 @@ function createStreamgraphPercentage(svg, width, height, graphNumber) {
         .call(d3.axisBottom(xScale).tickFormat(d3.format('d')))
         .style('font-size', '12px');
     
+    // Crosshair and tooltip linked with the other graph
+    addLinkedHover(svg, graphNumber, margin, xScale, innerHeight, timelineData, describePercentage);
+    
     // Legend
     const legend = g.append('g')
         .attr('transform', `translate(${innerWidth + 20}, 0)`);
@@ -2110,14 +3727,14 @@ function createStreamgraphPercentage(svg, width, height, graphNumber) {
         legendRow.append('rect')
             .attr('width', 18)
             .attr('height', 18)
-            .attr('fill', colorScale(subject))
+            .attr('fill', getObjectColor(subject))
             .style('opacity', 0.8);
         
         legendRow.append('text')
             .attr('x', 25)
             .attr('y', 14)
             .style('font-size', '12px')
-            .text(subject.charAt(0).toUpperCase() + subject.slice(1));
+            .text(getObjectLabel(subject));
     });
     
     // Axis labels
@@ -2138,40 +3755,19 @@ function createLineGraphPercentage(svg, width, height, graphNumber) {
     const g = svg.append('g')
         .attr('transform', `translate(${margin.left},${margin.top})`);
     
-    // Get filtered data
-    const filteredData = getFilteredData(graphNumber);
-    
-    // Process data by decade
-    const decades = d3.groups(filteredData, d => Math.floor(+d.creation_year / 10) * 10)
-        .filter(([decade]) => decade >= 1840 && decade <= 2020)
-        .sort((a, b) => a[0] - b[0]);
-    
-    const timelineData = decades.map(([decade, photos]) => {
-        const result = { decade: decade };
-        const total = photos.length;
-        
-        selectedObjects.forEach(subject => {
-            const hasField = `has_${subject}`;
-            const count = photos.filter(p => p[hasField] === '1.0').length;
-            result[subject] = (count / total) * 100; // Convert to percentage
-        });
-        
-        return result;
-    });
+    // Share of each selected object per time bin (percentage of photos or frame area)
+    const timelineData = getTimelineData(graphNumber, true);
     
-    // Scales
+    // Scales (shared with the other graph when scales are locked)
+    const domains = getGraphDomains(graphNumber);
     const xScale = d3.scaleLinear()
-        .domain(d3.extent(timelineData, d => d.decade))
+        .domain(domains.x)
         .range([0, innerWidth]);
     
     const yScale = d3.scaleLinear()
-        .domain([0, 100])
+        .domain(domains.y)
         .range([innerHeight, 0]);
     
-    const colorScale = d3.scaleOrdinal()
-        .domain(selectedObjects)
-        .range(d3.schemeCategory10);
-    
     // Create tooltip
     const tooltip = d3.select('body').selectAll(`.tooltip-pct-line-${graphNumber}`).data([null]);
     const tooltipEnter = tooltip.enter().append('div')
@@ -2190,21 +3786,21 @@ function createLineGraphPercentage(svg, width, height, graphNumber) {
     
     // Line generator
     const line = d3.line()
-        .x(d => xScale(d.decade))
+        .x(d => xScale(d.start))
         .y(d => d.value)
         .curve(d3.curveMonotoneX);
     
     // Draw lines for each object
     selectedObjects.forEach(subject => {
         const lineData = timelineData.map(d => ({
-            decade: d.decade,
+            start: d.start,
             value: yScale(d[subject])
         }));
         
         g.append('path')
             .datum(lineData)
             .attr('fill', 'none')
-            .attr('stroke', colorScale(subject))
+            .attr('stroke', getObjectColor(subject))
             .attr('stroke-width', 3)
             .attr('d', line)
             .style('opacity', 0.8);
@@ -2215,19 +3811,19 @@ function createLineGraphPercentage(svg, width, height, graphNumber) {
             .enter()
             .append('circle')
             .attr('class', `dot-${subject}`)
-            .attr('cx', d => xScale(d.decade))
+            .attr('cx', d => xScale(d.start))
             .attr('cy', d => yScale(d[subject]))
             .attr('r', 5)
-            .attr('fill', colorScale(subject))
+            .attr('fill', getObjectColor(subject))
             .style('opacity', 0.9)
             .on('mouseover', function(event, d) {
                 d3.select(this).attr('r', 7);
                 
                 const percentage = d[subject] || 0;
-                const objectName = subject.charAt(0).toUpperCase() + subject.slice(1);
+                const objectName = getObjectLabel(subject);
                 
                 tooltipDiv
-                    .html(`<strong>${objectName}</strong><br/>Year: ${d.decade}<br/>Percentage: ${percentage.toFixed(1)}%`)
+                    .html(`<strong>${objectName}</strong><br/>${describeBin(d)}<br/>${describePercentage(percentage)}`)
                     .style('left', (event.pageX + 15) + 'px')
                     .style('top', (event.pageY + 15) + 'px')
                     .style('display', 'block');
@@ -2248,6 +3844,9 @@ function createLineGraphPercentage(svg, width, height, graphNumber) {
         .call(d3.axisLeft(yScale).tickFormat(d => d + '%'))
         .style('font-size', '12px');
     
+    // Crosshair and tooltip linked with the other graph
+    addLinkedHover(svg, graphNumber, margin, xScale, innerHeight, timelineData, describePercentage);
+    
     // Legend
     const legend = g.append('g')
         .attr('transform', `translate(${innerWidth + 20}, 0)`);
@@ -2261,14 +3860,14 @@ function createLineGraphPercentage(svg, width, height, graphNumber) {
             .attr('y1', 9)
             .attr('x2', 20)
             .attr('y2', 9)
-            .attr('stroke', colorScale(subject))
+            .attr('stroke', getObjectColor(subject))
             .attr('stroke-width', 3);
         
         legendRow.append('text')
             .attr('x', 25)
             .attr('y', 14)
             .style('font-size', '12px')
-            .text(subject.charAt(0).toUpperCase() + subject.slice(1));
+            .text(getObjectLabel(subject));
     });
     
     // Axis labels
@@ -2287,7 +3886,264 @@ function createLineGraphPercentage(svg, width, height, graphNumber) {
         .attr('text-anchor', 'middle')
         .style('font-size', '13px')
         .style('font-weight', 'bold')
-        .text('Percentage of Works');
+        .text(weightMode === 'count' ? 'Percentage of Works' : 'Percentage of Frame Area');
+}
+
+// ===== COHORT DIFFERENCE PANEL =====
+// Per time bin and selected object, how cohort 1's share (see getObjectShare)
+// compares with cohort 2's: a percentage-point difference or a log2 ratio.
+// One row per object; the area is colored by which cohort is ahead
+const DIFFERENCE_MODES = {
+    'difference': {
+        label: 'Difference (percentage points)',
+        value: (share1, share2) => share1 - share2,
+        format: value => `${value >= 0 ? '+' : ''}${value.toFixed(1)} pp`
+    },
+    'log-ratio': {
+        label: 'Log ratio (log₂ cohort 1 ÷ cohort 2)',
+        // Undefined when either cohort lacks the object entirely
+        value: (share1, share2) => share1 > 0 && share2 > 0 ? Math.log2(share1 / share2) : null,
+        format: value => `${value >= 0 ? '+' : ''}${value.toFixed(2)} (×${Math.pow(2, value).toFixed(2)})`
+    }
+};
+const DIFFERENCE_COLORS = { 1: '#B35806', 2: '#542788' }; // cohort ahead -> color
+
+function createDifferenceGraph() {
+    const panel = d3.select('#difference-panel');
+    const container = d3.select('#timeline-viz-diff');
+    if (panel.empty() || container.empty()) return;
+    
+    panel.style('display', showDifference ? null : 'none');
+    container.selectAll('*').remove();
+    if (!showDifference || photographData.length === 0) return;
+    
+    const mode = DIFFERENCE_MODES[differenceMode];
+    const width = 1100;
+    const rowHeight = 80;
+    const margin = { top: 70, right: 150, bottom: 60, left: 120 };
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = Math.max(selectedObjects.length, 1) * rowHeight;
+    const height = innerHeight + margin.top + margin.bottom;
+    
+    const svg = container
+        .attr('width', width)
+        .attr('height', height)
+        .attr('viewBox', `0 0 ${width} ${height}`)
+        .style('background', 'white');
+    
+    const cohortNames = { 1: describeCohort(1), 2: describeCohort(2) };
+    
+    // Title with one swatch per cohort
+    const title = svg.append('g')
+        .attr('transform', `translate(${margin.left}, 25)`);
+    [1, 2].forEach((graphNumber, i) => {
+        const entry = title.append('g')
+            .attr('transform', `translate(0, ${i * 20})`);
+        entry.append('rect')
+            .attr('y', -11)
+            .attr('width', 14)
+            .attr('height', 14)
+            .attr('fill', DIFFERENCE_COLORS[graphNumber])
+            .style('opacity', 0.75);
+        entry.append('text')
+            .attr('x', 22)
+            .style('font-size', '13px')
+            .style('fill', '#333')
+            .text(`Cohort ${graphNumber} higher: ${cohortNames[graphNumber]}`);
+    });
+    
+    // Only time bins where both cohorts have photos can be compared
+    const binPhotos1 = new Map(groupPhotosByBin(getFilteredData(1)).map(([bin, photos]) => [bin.start, photos]));
+    const binPhotos2 = new Map(groupPhotosByBin(getFilteredData(2)).map(([bin, photos]) => [bin.start, photos]));
+    const starts = Array.from(binPhotos1.keys())
+        .filter(start => binPhotos2.has(start))
+        .sort((a, b) => a - b);
+    
+    if (starts.length === 0 || selectedObjects.length === 0) {
+        svg.append('text')
+            .attr('x', width / 2)
+            .attr('y', height / 2)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '18px')
+            .style('fill', '#999')
+            .style('font-weight', '600')
+            .text(selectedObjects.length === 0 ? 'Select objects to compare' : 'The two cohorts share no time periods');
+        return;
+    }
+    
+    // Everything the tooltip needs, per object and time bin
+    const rows = selectedObjects.map(obj => ({
+        key: obj,
+        points: starts.map(start => {
+            const photos1 = binPhotos1.get(start);
+            const photos2 = binPhotos2.get(start);
+            const share1 = getObjectShare(photos1, obj, weightMode);
+            const share2 = getObjectShare(photos2, obj, weightMode);
+            return {
+                start: start,
+                bin: getBinForYear(start),
+                share1: share1,
+                share2: share2,
+                count1: getObjectWeight(photos1, obj, 'count'),
+                count2: getObjectWeight(photos2, obj, 'count'),
+                total1: photos1.length,
+                total2: photos2.length,
+                value: mode.value(share1, share2)
+            };
+        })
+    }));
+    
+    const g = svg.append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+    
+    const xScale = d3.scaleLinear()
+        .domain(d3.extent(starts))
+        .range([0, innerWidth]);
+    
+    // Shared and symmetric around zero so rows compare and the sign reads at a glance
+    const maxAbs = d3.max(rows, row => d3.max(row.points, d => d.value === null ? 0 : Math.abs(d.value))) || 1;
+    const yScale = d3.scaleLinear()
+        .domain([-maxAbs, maxAbs])
+        .range([rowHeight / 2 - 5, -rowHeight / 2 + 5]);
+    
+    const area = d3.area()
+        .defined(d => d.value !== null)
+        .x(d => xScale(d.start))
+        .y0(yScale(0))
+        .y1(d => yScale(d.value));
+    
+    // Clip each row's area at zero: above is cohort 1's color, below cohort 2's
+    const defs = svg.append('defs');
+    defs.append('clipPath')
+        .attr('id', 'difference-clip-above')
+        .append('rect')
+        .attr('x', 0)
+        .attr('y', -rowHeight / 2)
+        .attr('width', innerWidth)
+        .attr('height', rowHeight / 2);
+    defs.append('clipPath')
+        .attr('id', 'difference-clip-below')
+        .append('rect')
+        .attr('x', 0)
+        .attr('y', 0)
+        .attr('width', innerWidth)
+        .attr('height', rowHeight / 2);
+    
+    // Create tooltip
+    const tooltip = d3.select('body').selectAll('.tooltip-graph-diff').data([null]);
+    const tooltipEnter = tooltip.enter().append('div')
+        .attr('class', 'tooltip-graph-diff viz-tooltip')
+        .style('position', 'absolute')
+        .style('background', 'rgba(0, 0, 0, 0.85)')
+        .style('color', '#fff')
+        .style('padding', '10px 12px')
+        .style('border-radius', '6px')
+        .style('font-size', '13px')
+        .style('pointer-events', 'none')
+        .style('display', 'none')
+        .style('z-index', '10000')
+        .style('box-shadow', '0 4px 12px rgba(0,0,0,0.3)');
+    const tooltipDiv = tooltipEnter.merge(tooltip);
+    
+    const describeShare = (d, graphNumber) => {
+        const share = graphNumber === 1 ? d.share1 : d.share2;
+        const count = graphNumber === 1 ? d.count1 : d.count2;
+        const total = graphNumber === 1 ? d.total1 : d.total2;
+        // With coverage weighting the share is of the cohort's frame area, not of its photos
+        const shareText = weightMode === 'count' ? 'of photos' : `of frame area (${WEIGHT_MODES[weightMode].label})`;
+        return `Cohort ${graphNumber}: ${share.toFixed(1)}% ${shareText}; ${count} of ${total} photos contain it`;
+    };
+    
+    rows.forEach((row, i) => {
+        const rowG = g.append('g')
+            .attr('transform', `translate(0, ${i * rowHeight + rowHeight / 2})`);
+        
+        [['difference-clip-above', 1], ['difference-clip-below', 2]].forEach(([clipId, graphNumber]) => {
+            rowG.append('path')
+                .datum(row.points)
+                .attr('clip-path', `url(#${clipId})`)
+                .attr('fill', DIFFERENCE_COLORS[graphNumber])
+                .style('opacity', 0.75)
+                .attr('d', area);
+        });
+        
+        rowG.append('line')
+            .attr('x1', 0)
+            .attr('x2', innerWidth)
+            .attr('y1', yScale(0))
+            .attr('y2', yScale(0))
+            .attr('stroke', '#999')
+            .attr('stroke-width', 1);
+        
+        // Object label with its usual color
+        rowG.append('rect')
+            .attr('x', -110)
+            .attr('y', -7)
+            .attr('width', 14)
+            .attr('height', 14)
+            .attr('fill', getObjectColor(row.key));
+        rowG.append('text')
+            .attr('x', -90)
+            .attr('y', 5)
+            .style('font-size', '13px')
+            .style('font-weight', '600')
+            .text(getObjectLabel(row.key));
+        
+        // Hover target snaps to the nearest time bin
+        const marker = rowG.append('line')
+            .attr('y1', -rowHeight / 2 + 5)
+            .attr('y2', rowHeight / 2 - 5)
+            .attr('stroke', '#333')
+            .attr('stroke-dasharray', '3,3')
+            .style('display', 'none');
+        
+        rowG.append('rect')
+            .attr('x', 0)
+            .attr('y', -rowHeight / 2)
+            .attr('width', innerWidth)
+            .attr('height', rowHeight)
+            .attr('fill', 'transparent')
+            .on('mousemove', function(event) {
+                const [mouseX] = d3.pointer(event, this);
+                const d = d3.least(row.points, p => Math.abs(p.start - xScale.invert(mouseX)));
+                if (!d) return;
+                
+                marker.attr('x1', xScale(d.start)).attr('x2', xScale(d.start)).style('display', null);
+                const valueText = d.value === null ? 'undefined (absent from a cohort)' : mode.format(d.value);
+                tooltipDiv
+                    .html(`<strong>${getObjectLabel(row.key)}</strong> — ${d.bin.label === d.bin.range ? d.bin.range : `${d.bin.label}, ${d.bin.range}`}<br/>` +
+                        `${describeShare(d, 1)}<br/>` +
+                        `${describeShare(d, 2)}<br/>` +
+                        `${differenceMode === 'difference' ? 'Difference' : 'Log ratio'}: ${valueText}`)
+                    .style('left', (event.pageX + 15) + 'px')
+                    .style('top', (event.pageY + 15) + 'px')
+                    .style('display', 'block');
+            })
+            .on('mouseout', function() {
+                marker.style('display', 'none');
+                tooltipDiv.style('display', 'none');
+            });
+    });
+    
+    // Axes
+    g.append('g')
+        .attr('transform', `translate(0,${innerHeight})`)
+        .call(d3.axisBottom(xScale).tickFormat(d3.format('d')))
+        .style('font-size', '12px');
+    
+    // Scale for one row, drawn beside the first
+    g.append('g')
+        .attr('transform', `translate(${innerWidth + 10}, ${rowHeight / 2})`)
+        .call(d3.axisRight(yScale).ticks(3).tickFormat(d => `${d > 0 ? '+' : ''}${d3.format('.2~f')(d)}`))
+        .style('font-size', '11px');
+    
+    g.append('text')
+        .attr('x', innerWidth / 2)
+        .attr('y', innerHeight + 45)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '13px')
+        .style('font-weight', 'bold')
+        .text(`Time (${TIME_BINNINGS[getTimeBinning()].label.toLowerCase()} bins) — ${mode.label}`);
 }
 
 function createPlaceholderMainViz(svg, width, height) {
@@ -2350,7 +4206,6 @@ function createPlaceholderMainViz(svg, width, height) {
 
 function updateMainVisualization() {
     // Re-render main visualization with current filter
-    console.log('Updating main visualization with filter:', currentFilter);
     initMainVisualization();
 }
 